@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+import { main } from '../src/scheduler.js';
+
+process.exitCode = await main(process.argv.slice(2));
@@ -1,4 +1,5 @@
 import { defineConfig, devices } from '@playwright/test';
+import { contextOptionsFromEnv } from './src/browser.js';
 
 /**
  * Playwright configuration for EPEX SPOT scraper tests
@@ -30,7 +31,8 @@ export default defineConfig({
   projects: [
     {
       name: 'chromium',
-      use: { ...devices['Desktop Chrome'] },
+      /* EPEX_USER_AGENT, EPEX_LOCALE, EPEX_TIMEZONE, EPEX_PROXY and EPEX_STORAGE_STATE override the device */
+      use: { ...devices['Desktop Chrome'], ...contextOptionsFromEnv() },
     },
   ],
 
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from './config.js';
+import { formatRunTimestamp } from './output.js';
+import { writeAtomically } from './writers/common.js';
+
+/**
+ * File extension per archived content type
+ */
+const EXTENSIONS = {
+  html: '.html',
+  json: '.json',
+  png: '.png'
+};
+
+/**
+ * Creates the identifier of a scrape run: its UTC start time plus a random
+ * suffix, e.g. "20260127T081500Z-3fa2c1", so runs sort by time
+ * @param {Date} [date] - Run start (defaults to now)
+ * @returns {string} Run id
+ */
+export function createRunId(date = new Date()) {
+  return `${formatRunTimestamp(date)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Gets the archive file extension of a response
+ * @param {string} contentType - Content-Type header
+ * @returns {string} File extension
+ */
+function extensionFor(contentType) {
+  return contentType.includes('json') ? EXTENSIONS.json : EXTENSIONS.html;
+}
+
+/**
+ * Opens a content-addressed archive of the raw pages behind scraped data.
+ * Every page, network response and screenshot is stored once under
+ * objects/<first two hex digits>/<sha256><ext>, however many runs saw it;
+ * runs/<runId>.json lists what each page of a run showed, by hash.
+ * @param {string} [directory] - Archive directory (defaults to CONFIG.ARCHIVE_DIR)
+ * @param {Object} [options] - Archive options
+ * @param {string} [options.runId] - Id of the run being archived (defaults to a new createRunId())
+ * @returns {Object} The archive: directory, runId, storePage, close
+ */
+export function openSnapshotArchive(directory = CONFIG.ARCHIVE_DIR, options = {}) {
+  const resolvedDir = path.resolve(process.cwd(), directory);
+  const runId = options.runId || createRunId();
+  const startedAt = new Date().toISOString();
+  const pages = [];
+
+  /**
+   * Stores content under its SHA-256 hash, unless it is already archived
+   * @param {string|Buffer} content - Content to store
+   * @param {string} extension - File extension, see EXTENSIONS
+   * @returns {Promise<{sha256: string, path: string, bytes: number}>} Hash, path relative to the archive, size
+   */
+  async function storeObject(content, extension) {
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+    const relativePath = path.join('objects', sha256.slice(0, 2), `${sha256}${extension}`);
+    const filePath = path.join(resolvedDir, relativePath);
+
+    if (!fs.existsSync(filePath)) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await writeAtomically(filePath, (tempPath) => fs.promises.writeFile(tempPath, content));
+    }
+    return { sha256, path: relativePath, bytes: Buffer.byteLength(content) };
+  }
+
+  /**
+   * Archives what a page currently shows: its HTML, a full-page screenshot
+   * and the data responses captured while it loaded. Failures are logged
+   * and recorded instead of thrown, so archiving never fails a scrape.
+   * @param {Page} page - Playwright page object
+   * @param {Object} context - What the page was opened for
+   * @param {string} context.url - Requested URL
+   * @param {string} [context.marketArea] - Market area code
+   * @param {string} [context.deliveryDate] - Delivery date (YYYY-MM-DD)
+   * @param {string} [context.market] - Market modality
+   * @param {import('./capture.js').CapturedResponse[]} [context.responses] - Captured data responses
+   * @returns {Promise<Object>} The entry added to the run index
+   */
+  async function storePage(page, context) {
+    const entry = {
+      url: context.url,
+      marketArea: context.marketArea,
+      deliveryDate: context.deliveryDate,
+      market: context.market,
+      capturedAt: new Date().toISOString(),
+      html: null,
+      screenshot: null,
+      responses: [],
+      errors: []
+    };
+
+    try {
+      entry.html = await storeObject(await page.content(), EXTENSIONS.html);
+    } catch (error) {
+      entry.errors.push(`html: ${error.message}`);
+    }
+    try {
+      entry.screenshot = await storeObject(await page.screenshot({ fullPage: true, type: 'png' }), EXTENSIONS.png);
+    } catch (error) {
+      entry.errors.push(`screenshot: ${error.message}`);
+    }
+    for (const response of context.responses || []) {
+      try {
+        entry.responses.push({
+          url: response.url,
+          status: response.status,
+          contentType: response.contentType,
+          ...await storeObject(response.body, extensionFor(response.contentType))
+        });
+      } catch (error) {
+        entry.errors.push(`response ${response.url}: ${error.message}`);
+      }
+    }
+
+    if (entry.errors.length > 0) {
+      console.warn(`   ⚠ Snapshot of ${context.url} incomplete: ${entry.errors.join('; ')}`);
+    }
+    pages.push(entry);
+    return entry;
+  }
+
+  /**
+   * Writes the run index, runs/<runId>.json
+   * @returns {Promise<string>} Path of the run index
+   */
+  async function close() {
+    const indexPath = path.join(resolvedDir, 'runs', `${runId}.json`);
+    await fs.promises.mkdir(path.dirname(indexPath), { recursive: true });
+    const index = { runId, startedAt, finishedAt: new Date().toISOString(), pages };
+    await writeAtomically(indexPath, (tempPath) => fs.promises.writeFile(tempPath, JSON.stringify(index, null, 2)));
+    console.log(`✓ Archived ${pages.length} page snapshots of run ${runId} in ${resolvedDir}`);
+    return indexPath;
+  }
+
+  return { directory: resolvedDir, runId, storePage, close };
+}
+
+/**
+ * Lists the pages of an archived run with what each was opened for, so the
+ * content-addressed HTML can be re-parsed without context in its file name
+ * @param {string} indexPath - Run index, <archive>/runs/<runId>.json
+ * @returns {Promise<Array<{label: string, filePath: string|null, context: Object}>>} Per page: its URL,
+ *   the path of its archived HTML (null when storing it failed) and its market area, delivery date and market
+ */
+export async function listArchivedPages(indexPath) {
+  const archiveDir = path.dirname(path.dirname(path.resolve(process.cwd(), indexPath)));
+  const index = JSON.parse(await fs.promises.readFile(indexPath, 'utf-8'));
+
+  return index.pages.map((entry) => ({
+    label: entry.url,
+    filePath: entry.html ? path.join(archiveDir, entry.html.path) : null,
+    context: Object.fromEntries(['marketArea', 'deliveryDate', 'market']
+      .filter((key) => entry[key])
+      .map((key) => [key, entry[key]]))
+  }));
+}
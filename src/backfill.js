@@ -0,0 +1,432 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { CONFIG } from './config.js';
+import { EXIT_CODES, UsageError, exitCodeFor, main as runScrape, parseCliArgs } from './cli.js';
+import { getYesterdayDate, isValidDate, listDates } from './dates.js';
+import { GRANULARITIES, checkPeriodCount, resolveGranularity } from './granularity.js';
+import { openHistoryStore } from './history.js';
+import { MANIFEST_SUFFIX } from './manifest.js';
+import { MARKET_AREAS, resolveMarketAreas, timeZoneFor } from './markets.js';
+import { listMarkets, resolveMarket } from './modalities.js';
+import { RESERVED_ARGS, scrapeArgs } from './scheduler.js';
+
+const USAGE = `Usage: epex-backfill --from <YYYY-MM-DD> [options] [-- <epex-scrape options>]
+
+Finds the market areas and delivery days of a date range that are missing or incomplete in the
+output directory (read from the manifests next to the output files) or in a history store, and
+runs epex-scrape for just those days, writing one file per area and day. Options after "--"
+are passed on to epex-scrape, e.g. -- --format parquet --retries 5.
+
+Options:
+      --market <market>     Market modality: ${listMarkets().join(', ')}
+                            (default: ${CONFIG.MARKET})
+  -m, --market-area <codes> Comma-separated market areas to check (default: ${CONFIG.MARKET_AREA})
+                            Known areas: ${MARKET_AREAS.join(', ')}
+      --from <YYYY-MM-DD>   First delivery date to check
+      --to <YYYY-MM-DD>     Last delivery date to check (default: yesterday in the local time
+                            of each market area)
+      --output-dir <dir>    Directory whose manifests are checked and where filled days are
+                            written (default: ${CONFIG.OUTPUT_DIR}, or the directory of an
+                            -o/--output passed on to epex-scrape)
+      --history <path>      Check this SQLite history store instead, and store filled days in it
+      --granularity <g>     Product granularity stored days are counted in: auto,
+                            ${Object.keys(GRANULARITIES).join(', ')} (default: auto, detected per day)
+  -c, --concurrency <n>     Days scraped at the same time, each in its own browser (default: 1)
+      --dry-run             Report the gaps without scraping them
+  -h, --help                Show this help
+
+Exit codes:
+  0 no gaps, every gap filled or --dry-run, 2 invalid arguments,
+  otherwise the epex-scrape exit code of the first gap that could not be filled`;
+
+/**
+ * What is known about one market area and delivery day
+ * @typedef {Object} DayCoverage
+ * @property {string|null} granularity - Granularity the periods were counted in
+ * @property {number|null} expected - Periods the day should have, null when unknown
+ * @property {number} actual - Periods found
+ * @property {boolean} complete - True when no period is missing, or when this cannot be told
+ */
+
+/**
+ * A market area and delivery day to scrape again
+ * @typedef {Object} Gap
+ * @property {string} marketArea - Market area code
+ * @property {string} deliveryDate - Delivery date (YYYY-MM-DD)
+ * @property {'missing'|'incomplete'} reason - Whether the day has no rows or lacks periods
+ * @property {DayCoverage|null} coverage - What was found of the day, null when missing
+ */
+
+/**
+ * Gets the key of a market area and delivery day in a coverage map
+ * @param {string} marketArea - Market area code
+ * @param {string} deliveryDate - Delivery date (YYYY-MM-DD)
+ * @returns {string} Coverage key
+ */
+function coverageKey(marketArea, deliveryDate) {
+  return `${marketArea}|${deliveryDate}`;
+}
+
+/**
+ * Records what was found of a day, keeping the most complete finding when
+ * the day is covered more than once (e.g. by a later re-scrape)
+ * @param {Map<string, DayCoverage>} coverage - Coverage by coverageKey
+ * @param {string} marketArea - Market area code
+ * @param {string} deliveryDate - Delivery date (YYYY-MM-DD)
+ * @param {DayCoverage} day - What was found
+ */
+function addCoverage(coverage, marketArea, deliveryDate, day) {
+  const key = coverageKey(marketArea, deliveryDate);
+  const known = coverage.get(key);
+  if (!known || (day.complete && !known.complete) || (day.complete === known.complete && day.actual > known.actual)) {
+    coverage.set(key, day);
+  }
+}
+
+/**
+ * Reads which days of a market the output files in a directory hold, from
+ * the manifests written next to them (see writeManifest). Manifests whose
+ * output file is gone are ignored; manifests written before period counts
+ * were recorded count their days as complete.
+ * @param {string} directory - Output directory
+ * @param {Object} [options] - Scan options
+ * @param {string} [options.market] - Market modality (defaults to CONFIG.MARKET)
+ * @returns {Promise<Map<string, DayCoverage>>} Coverage by market area and delivery date
+ */
+export async function scanManifests(directory, options = {}) {
+  const market = resolveMarket(options);
+  const coverage = new Map();
+  let entries;
+  try {
+    entries = await fs.promises.readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return coverage;
+    }
+    throw error;
+  }
+
+  for (const entry of entries.filter((name) => name.endsWith(MANIFEST_SUFFIX)).sort()) {
+    const manifestPath = path.join(directory, entry);
+    if (!fs.existsSync(manifestPath.slice(0, -MANIFEST_SUFFIX.length))) {
+      continue;
+    }
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf-8'));
+    } catch (error) {
+      console.warn(`⚠ Skipping unreadable manifest ${manifestPath}: ${error.message}`);
+      continue;
+    }
+    for (const page of manifest.pages || []) {
+      if (page.market === market && page.rows > 0) {
+        addCoverage(coverage, page.marketArea, page.deliveryDate,
+          page.periods || { granularity: null, expected: null, actual: page.rows, complete: true });
+      }
+    }
+  }
+  return coverage;
+}
+
+/**
+ * Reads which days of a market a history store holds, counting the stored
+ * periods of each day against the periods it should have (see checkPeriodCount)
+ * @param {Object} store - History store, see openHistoryStore
+ * @param {Object} options - Scan options
+ * @param {string} [options.market] - Market modality (defaults to CONFIG.MARKET)
+ * @param {string} options.startDate - First delivery date (YYYY-MM-DD)
+ * @param {string} options.endDate - Last delivery date (YYYY-MM-DD)
+ * @param {string} [options.granularity] - Granularity periods are counted in (default: auto)
+ * @returns {Map<string, DayCoverage>} Coverage by market area and delivery date
+ */
+export function scanHistory(store, options) {
+  const market = resolveMarket(options);
+  const days = new Map();
+  for (const row of store.getLatestRows({ market, startDate: options.startDate, endDate: options.endDate })) {
+    const key = coverageKey(row['Market Area'], row['Delivery Date']);
+    if (!days.has(key)) {
+      days.set(key, []);
+    }
+    days.get(key).push(row);
+  }
+
+  const coverage = new Map();
+  for (const rows of days.values()) {
+    const { 'Market Area': marketArea, 'Delivery Date': deliveryDate } = rows[0];
+    addCoverage(coverage, marketArea, deliveryDate,
+      checkPeriodCount(rows, { deliveryDate, timeZone: timeZoneFor(marketArea), granularity: options.granularity }));
+  }
+  return coverage;
+}
+
+/**
+ * Lists the delivery dates checked per market area: from the start date
+ * to the end date or, without one, to yesterday in the area's time zone
+ * @param {Object} options - Requested range
+ * @param {string[]} options.marketAreas - Market area codes
+ * @param {string} options.startDate - First delivery date (YYYY-MM-DD)
+ * @param {string|null} [options.endDate] - Last delivery date (YYYY-MM-DD)
+ * @param {Date} [options.now] - Current instant for the default end date (defaults to now)
+ * @returns {Map<string, string[]>} Delivery dates by market area
+ * @throws {Error} When the range is invalid for an area
+ */
+export function listAreaDates({ marketAreas, startDate, endDate, now }) {
+  return new Map(marketAreas.map((marketArea) => [marketArea, listDates(startDate, endDate || getYesterdayDate({ marketArea, now }))]));
+}
+
+/**
+ * Lists the requested days that are missing or incomplete
+ * @param {Map<string, DayCoverage>} coverage - Coverage from scanManifests or scanHistory
+ * @param {Map<string, string[]>} deliveryDatesByArea - Requested days, see listAreaDates
+ * @returns {Gap[]} Gaps by market area, then delivery date
+ */
+export function findGaps(coverage, deliveryDatesByArea) {
+  const gaps = [];
+  for (const [marketArea, deliveryDates] of deliveryDatesByArea) {
+    for (const deliveryDate of deliveryDates) {
+      const day = coverage.get(coverageKey(marketArea, deliveryDate)) || null;
+      if (!day) {
+        gaps.push({ marketArea, deliveryDate, reason: 'missing', coverage: null });
+      } else if (!day.complete) {
+        gaps.push({ marketArea, deliveryDate, reason: 'incomplete', coverage: day });
+      }
+    }
+  }
+  return gaps;
+}
+
+/**
+ * Describes a gap for the console, e.g. "GB 2026-01-26 (incomplete, 40 of 48 half-hour periods)"
+ * @param {Gap} gap - Missing or incomplete day
+ * @returns {string} Description
+ */
+function describeGap({ marketArea, deliveryDate, reason, coverage }) {
+  const detail = coverage ? `, ${coverage.actual} of ${coverage.expected} ${coverage.granularity} periods` : '';
+  return `${marketArea} ${deliveryDate} (${reason}${detail})`;
+}
+
+/**
+ * Scrapes every gap with epex-scrape, one area and day per run, keeping at
+ * most options.concurrency runs going at once. Runs require complete days,
+ * so a day that is still incomplete is reported instead of written again.
+ * @param {Gap[]} gaps - Days to scrape, see findGaps
+ * @param {Object} options - Fill options
+ * @param {string} options.market - Market modality
+ * @param {string[]} [options.args] - Further epex-scrape arguments
+ * @param {number} [options.concurrency] - Runs at the same time (default 1)
+ * @param {function(string[]): Promise<number>} [options.runJob] - Runs epex-scrape with the given
+ *   arguments and returns its exit code (defaults to the epex-scrape command)
+ * @returns {Promise<Array<Gap & {exitCode: number, filled: boolean}>>} Outcome per gap, in gap order
+ */
+export async function fillGaps(gaps, options) {
+  const runJob = options.runJob || runScrape;
+  const results = new Array(gaps.length);
+  let nextGap = 0;
+
+  const worker = async () => {
+    while (nextGap < gaps.length) {
+      const index = nextGap++;
+      const gap = gaps[index];
+      console.log(`📍 Filling ${describeGap(gap)}`);
+
+      let exitCode;
+      try {
+        exitCode = await runJob(scrapeArgs({ market: options.market, marketAreas: [gap.marketArea], args: options.args || [] }, gap.deliveryDate));
+      } catch (error) {
+        console.error(`❌ ${gap.marketArea} ${gap.deliveryDate}: ${error.message}`);
+        exitCode = exitCodeFor(error);
+      }
+      results[index] = { ...gap, exitCode, filled: exitCode === EXIT_CODES.SUCCESS };
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(options.concurrency || 1, gaps.length)) }, worker));
+  return results;
+}
+
+/**
+ * Formats the summary of a backfill: how many gaps were filled, then one
+ * line per gap with the exit code of those that were not
+ * @param {Array<Gap & {exitCode: number, filled: boolean}>} results - Outcomes from fillGaps
+ * @returns {string} Report
+ */
+export function formatBackfillReport(results) {
+  const filled = results.filter((result) => result.filled).length;
+  const lines = [`📍 Backfill: ${filled} of ${results.length} gaps filled`];
+  for (const result of results) {
+    lines.push(result.filled
+      ? `   ✓ ${describeGap(result)}`
+      : `   ❌ ${describeGap(result)}: exit code ${result.exitCode}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Parses epex-backfill command-line arguments
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {Object} Normalised options: help, market, marketAreas, startDate, endDate (null for
+ *   each area's yesterday), deliveryDatesByArea (see listAreaDates), outputDir, history,
+ *   granularity, concurrency, dryRun and args (the epex-scrape arguments of every fill)
+ * @throws {UsageError} When the arguments are invalid
+ */
+export function parseBackfillArgs(argv) {
+  const separator = argv.indexOf('--');
+  const passedOn = separator >= 0 ? argv.slice(separator + 1) : [];
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: separator >= 0 ? argv.slice(0, separator) : argv,
+      options: {
+        market: { type: 'string' },
+        'market-area': { type: 'string', short: 'm' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        'output-dir': { type: 'string' },
+        history: { type: 'string' },
+        granularity: { type: 'string' },
+        concurrency: { type: 'string', short: 'c' },
+        'dry-run': { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (values.help) {
+    return { help: true };
+  }
+
+  let market;
+  let marketAreas;
+  try {
+    market = resolveMarket({ market: values.market });
+    marketAreas = resolveMarketAreas({ marketArea: values['market-area'] });
+    resolveGranularity([], { granularity: values.granularity });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (!values.from) {
+    throw new UsageError('--from is required');
+  }
+  for (const name of ['from', 'to']) {
+    if (values[name] && !isValidDate(values[name])) {
+      throw new UsageError(`--${name} must be a valid date in YYYY-MM-DD format, got "${values[name]}"`);
+    }
+  }
+  let deliveryDatesByArea;
+  try {
+    deliveryDatesByArea = listAreaDates({ marketAreas, startDate: values.from, endDate: values.to });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const concurrency = values.concurrency === undefined ? 1 : Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new UsageError(`--concurrency must be a positive integer, got "${values.concurrency}"`);
+  }
+
+  const reserved = passedOn.find((arg) => RESERVED_ARGS.includes(arg.split('=')[0]));
+  if (reserved) {
+    throw new UsageError(`${reserved} is set by epex-backfill for every gap`);
+  }
+  const hasOutput = passedOn.some((arg) => ['-o', '--output'].includes(arg.split('=')[0]));
+  if (hasOutput && values['output-dir']) {
+    throw new UsageError('--output-dir cannot be combined with an epex-scrape -o/--output, whose directory is checked instead');
+  }
+  const args = [
+    ...(values.history ? ['--history', values.history] : []),
+    ...(hasOutput ? [] : ['--output', path.join(values['output-dir'] || CONFIG.OUTPUT_DIR, '{market}_{marketArea}_{deliveryDate}.{format}')]),
+    ...passedOn
+  ];
+  let scrapeOptions;
+  try {
+    scrapeOptions = parseCliArgs(scrapeArgs({ market, marketAreas, args }, values.from));
+  } catch (error) {
+    throw new UsageError(`Invalid epex-scrape option: ${error.message}`);
+  }
+  // The manifests of filled days are written next to their output files
+  const outputDir = path.dirname(scrapeOptions.output);
+
+  return {
+    help: false,
+    market,
+    marketAreas,
+    deliveryDatesByArea,
+    startDate: values.from,
+    endDate: values.to || null,
+    outputDir,
+    history: values.history || null,
+    granularity: (values.granularity || 'auto').toLowerCase(),
+    concurrency,
+    dryRun: Boolean(values['dry-run']),
+    args
+  };
+}
+
+/**
+ * Reads the coverage of the requested days from the history store, or else
+ * from the manifests in the output directory
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<Map<string, DayCoverage>>} Coverage by market area and delivery date
+ */
+async function readCoverage(options) {
+  if (!options.history) {
+    return scanManifests(options.outputDir, options);
+  }
+  if (!fs.existsSync(options.history)) {
+    return new Map();
+  }
+
+  const store = await openHistoryStore(options.history);
+  try {
+    const dates = [...options.deliveryDatesByArea.values()].flat().sort();
+    return scanHistory(store, { ...options, startDate: dates[0], endDate: dates.at(-1) });
+  } finally {
+    await store.close();
+  }
+}
+
+/**
+ * Runs the epex-backfill command
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {Promise<number>} Process exit code
+ */
+export async function main(argv) {
+  try {
+    const options = parseBackfillArgs(argv);
+    if (options.help) {
+      console.log(USAGE);
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const { market, marketAreas, deliveryDatesByArea } = options;
+    console.log(`📍 Checking ${market} results of ${marketAreas.join(', ')} from ${options.startDate} to ${options.endDate || 'yesterday'} in ${options.history || options.outputDir}`);
+    const gaps = findGaps(await readCoverage(options), deliveryDatesByArea);
+    const days = [...deliveryDatesByArea.values()].reduce((total, dates) => total + dates.length, 0);
+    const missing = gaps.filter((gap) => gap.reason === 'missing').length;
+    console.log(`   ✓ ${days - gaps.length} of ${days} days complete, ${missing} missing, ${gaps.length - missing} incomplete`);
+    if (gaps.length === 0) {
+      return EXIT_CODES.SUCCESS;
+    }
+
+    if (options.dryRun) {
+      gaps.forEach((gap) => console.log(`   ⚠ ${describeGap(gap)}`));
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const results = await fillGaps(gaps, options);
+    console.log(formatBackfillReport(results));
+    const failed = results.find((result) => !result.filled);
+    return failed ? failed.exitCode : EXIT_CODES.SUCCESS;
+
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    if (error instanceof UsageError) {
+      console.error(`\n${USAGE}`);
+    }
+    return exitCodeFor(error);
+  }
+}
@@ -0,0 +1,172 @@
+import { BlockedError } from './errors.js';
+
+/**
+ * Statuses with which a website refuses access outright
+ */
+const BLOCK_STATUSES = [401, 403, 451];
+
+/**
+ * Response headers set by bot protection when it challenges or blocks a request
+ */
+const HEADER_RULES = [
+  { provider: 'cloudflare', header: 'cf-mitigated', pattern: /challenge/i },
+  { provider: 'aws-waf', header: 'x-amzn-waf-action', pattern: /captcha|challenge|block/i },
+  { provider: 'datadome', header: 'x-dd-b', pattern: /./ },
+  { provider: 'imperva', header: 'x-iinfo', pattern: /./, statuses: BLOCK_STATUSES },
+  { provider: 'akamai', header: 'server', pattern: /^AkamaiGHost$/i, statuses: BLOCK_STATUSES }
+];
+
+/**
+ * URLs of challenge pages a request may be redirected through
+ */
+const CHALLENGE_URLS = [
+  { provider: 'cloudflare', pattern: /\/cdn-cgi\/challenge-platform\// },
+  { provider: 'datadome', pattern: /captcha-delivery\.com/ },
+  { provider: 'perimeterx', pattern: /\/px\/captcha|perfdrive\.com/ },
+  { provider: null, pattern: /[/?&](captcha|challenge)([/?&=.]|$)/i }
+];
+
+/**
+ * Markup found only on challenge and block pages, never on a results page
+ * that merely embeds a captcha widget somewhere
+ */
+const CHALLENGE_MARKERS = [
+  { provider: 'cloudflare', pattern: /_cf_chl_opt|id="challenge-form"|id="cf-error-details"|cf-browser-verification/ },
+  { provider: 'datadome', pattern: /(?:geo|ct)\.captcha-delivery\.com/ },
+  { provider: 'perimeterx', pattern: /id="px-captcha"|_pxCaptcha/ },
+  { provider: 'imperva', pattern: /_Incapsula_Resource|Incapsula incident ID/ },
+  { provider: 'akamai', pattern: /Reference&#32;&#35;[0-9a-f.]+|Reference #\d+\.[0-9a-f]+\.\d+/ }
+];
+
+/**
+ * Titles of challenge and block pages
+ */
+const CHALLENGE_TITLES = [
+  { provider: 'cloudflare', pattern: /^just a moment/i },
+  { provider: 'cloudflare', pattern: /^attention required/i },
+  { provider: 'imperva', pattern: /^pardon our interruption/i },
+  { provider: null, pattern: /^access denied|^403 forbidden|^forbidden$|^request rejected/i },
+  { provider: null, pattern: /are you a (robot|human)|security check|verify you are human|bot verification/i }
+];
+
+/**
+ * Why a page is considered blocked
+ * @typedef {Object} BlockDetection
+ * @property {'status'|'header'|'url'|'marker'|'title'} signal - Kind of evidence that matched
+ * @property {string|null} provider - Bot protection recognised, e.g. "cloudflare", null when unknown
+ * @property {string} detail - The matching evidence, e.g. "cf-mitigated: challenge"
+ * @property {number|null} status - HTTP status of the main response, null when unknown
+ * @property {string|null} url - URL of the page
+ */
+
+/**
+ * Evidence about a loaded page, see inspectPage
+ * @typedef {Object} PageEvidence
+ * @property {number|null} [status] - HTTP status of the main response
+ * @property {Object<string, string>} [headers] - Response headers, lower-case names
+ * @property {string[]} [urls] - URLs of the redirect chain, final URL last
+ * @property {string} [title] - Page title (read from the HTML when omitted)
+ * @property {string} [html] - Page HTML
+ */
+
+/**
+ * Reads the <title> of an HTML document
+ * @param {string} html - Page HTML
+ * @returns {string} Title text, empty when there is none
+ */
+function titleOf(html) {
+  const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return match ? match[1].replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Decides from the evidence about a page whether bot protection blocked
+ * or challenged it, checking the response headers, status, redirect
+ * chain, challenge markup and title in that order
+ * @param {PageEvidence} evidence - What the page returned
+ * @returns {BlockDetection|null} Why the page is blocked, or null when it is not
+ */
+export function detectBlock(evidence) {
+  const status = evidence.status ?? null;
+  const headers = evidence.headers || {};
+  const urls = evidence.urls || [];
+  const html = evidence.html || '';
+  const title = evidence.title ?? titleOf(html);
+  const url = urls.at(-1) ?? null;
+  const found = (signal, provider, detail) => ({ signal, provider, detail, status, url });
+
+  for (const rule of HEADER_RULES) {
+    const value = headers[rule.header];
+    if (value !== undefined && rule.pattern.test(value) && (!rule.statuses || rule.statuses.includes(status))) {
+      return found('header', rule.provider, `${rule.header}: ${value}`);
+    }
+  }
+  if (BLOCK_STATUSES.includes(status)) {
+    return found('status', null, `HTTP ${status}`);
+  }
+  for (const chainUrl of urls) {
+    const rule = CHALLENGE_URLS.find(({ pattern }) => pattern.test(chainUrl));
+    if (rule) {
+      return found('url', rule.provider, chainUrl);
+    }
+  }
+  for (const rule of CHALLENGE_MARKERS) {
+    const match = html.match(rule.pattern);
+    if (match) {
+      return found('marker', rule.provider, match[0]);
+    }
+  }
+  const titleRule = CHALLENGE_TITLES.find(({ pattern }) => pattern.test(title));
+  if (titleRule) {
+    return found('title', titleRule.provider, `title "${title}"`);
+  }
+  return null;
+}
+
+/**
+ * Gathers the evidence about the page currently loaded, see detectBlock
+ * @param {Page} page - Playwright page object
+ * @param {Response|null} [response] - Main resource response, when the caller navigated
+ * @returns {Promise<PageEvidence>} Status, headers, redirect chain, title and HTML
+ */
+export async function inspectPage(page, response = null) {
+  const urls = [];
+  for (let request = response?.request(); request; request = request.redirectedFrom()) {
+    urls.unshift(request.url());
+  }
+  if (urls.at(-1) !== page.url()) {
+    urls.push(page.url());
+  }
+
+  return {
+    status: response ? response.status() : null,
+    headers: response ? await response.allHeaders() : {},
+    urls,
+    title: await page.title(),
+    html: await page.content()
+  };
+}
+
+/**
+ * Builds the error reporting a blocked page
+ * @param {BlockDetection} detection - Why the page is blocked
+ * @returns {BlockedError} Error with the detection attached
+ */
+export function blockedErrorFor(detection) {
+  const provider = detection.provider ? ` by ${detection.provider}` : '';
+  return new BlockedError(`Access denied${provider} (${detection.detail}) - website may have bot protection`, detection);
+}
+
+/**
+ * Raises a BlockedError when bot protection blocked or challenged the page
+ * @param {Page} page - Playwright page object
+ * @param {Response|null} [response] - Main resource response, when the caller navigated
+ * @returns {Promise<void>}
+ * @throws {BlockedError} With the BlockDetection as error.detection
+ */
+export async function assertNotBlocked(page, response = null) {
+  const detection = detectBlock(await inspectPage(page, response));
+  if (detection) {
+    throw blockedErrorFor(detection);
+  }
+}
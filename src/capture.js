@@ -0,0 +1,189 @@
+import { EmptyResultError, MissingColumnError, ParseError } from './errors.js';
+import { rowsFromTable } from './scraper.js';
+import { parseMarketResultsHtml } from './snapshot.js';
+
+/**
+ * Where scrapeMarketArea takes the results table from: the rendered page
+ * or the data responses the page fetches while loading
+ */
+export const SOURCES = {
+  DOM: 'dom',
+  NETWORK: 'network'
+};
+
+/**
+ * Resolves the table source requested by a set of scrape options
+ * @param {Object} [options] - Scrape options
+ * @param {string} [options.source] - "dom" (default) or "network", see SOURCES
+ * @returns {string} Table source
+ * @throws {Error} When the source is not supported
+ */
+export function resolveSource(options = {}) {
+  const source = String(options.source || SOURCES.DOM).trim().toLowerCase();
+  if (!Object.values(SOURCES).includes(source)) {
+    throw new Error(`Unknown source "${source}" (expected one of: ${Object.values(SOURCES).join(', ')})`);
+  }
+  return source;
+}
+
+/**
+ * Resource types of the requests a page makes for its data
+ */
+const DATA_RESOURCE_TYPES = ['xhr', 'fetch'];
+
+/**
+ * A data response captured while the results page loaded
+ * @typedef {Object} CapturedResponse
+ * @property {string} url - Response URL
+ * @property {number} status - HTTP status
+ * @property {string} contentType - Content-Type header, lower case
+ * @property {string} body - Response body
+ */
+
+/**
+ * Records the JSON and HTML responses to the XHR/fetch requests of a page.
+ * Call it before navigating, and stop it once the page has been read.
+ * @param {Page} page - Playwright page object
+ * @returns {{responses: () => Promise<CapturedResponse[]>, stop: () => void}} Captured responses
+ *   in arrival order, and a function that stops recording
+ */
+export function captureResponses(page) {
+  const pending = [];
+
+  const onResponse = (response) => {
+    const contentType = (response.headers()['content-type'] || '').toLowerCase();
+    if (!DATA_RESOURCE_TYPES.includes(response.request().resourceType()) || !response.ok()
+      || !/json|html/.test(contentType)) {
+      return;
+    }
+    pending.push(response.text()
+      .then((body) => ({ url: response.url(), status: response.status(), contentType, body }))
+      // The body is gone once the page navigates away; such responses are skipped
+      .catch(() => null));
+  };
+
+  page.on('response', onResponse);
+  return {
+    responses: async () => (await Promise.all(pending)).filter(Boolean),
+    stop: () => page.off('response', onResponse)
+  };
+}
+
+/**
+ * Turns a JSON key such as "weightAvg" or "weight_avg" into a header label
+ * @param {string} key - JSON object key
+ * @returns {string} Header label, e.g. "weight Avg"
+ */
+function keyToLabel(key) {
+  return key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' ');
+}
+
+/**
+ * Finds the tables in a parsed JSON response: every non-empty array of
+ * objects becomes a table with the first object's keys as headers.
+ * Strings holding HTML (e.g. the markup of an AJAX command) are returned
+ * separately so they can be read as HTML fragments.
+ * @param {*} data - Parsed JSON
+ * @returns {{tables: Array<{headers: string[], rows: string[][]}>, fragments: string[]}} Tables and HTML fragments
+ */
+export function tablesFromJson(data) {
+  const tables = [];
+  const fragments = [];
+  const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  const visit = (value) => {
+    if (typeof value === 'string') {
+      if (/<tr[\s>]/i.test(value)) {
+        fragments.push(value);
+      }
+    } else if (Array.isArray(value)) {
+      if (value.length > 0 && value.every(isRecord)) {
+        const keys = Object.keys(value[0]);
+        tables.push({
+          headers: keys.map(keyToLabel),
+          rows: value.map((record) => keys.map((key) => (isRecord(record[key]) ? '' : String(record[key] ?? '').trim())))
+        });
+      }
+      value.forEach(visit);
+    } else if (isRecord(value)) {
+      Object.values(value).forEach(visit);
+    }
+  };
+
+  visit(data);
+  return { tables, fragments };
+}
+
+/**
+ * Reads the rows of an HTML fragment with the parser of saved pages
+ * (parseMarketResultsHtml), so captured and saved tables are read alike
+ * @param {string} html - HTML fragment
+ * @param {Object} options - Scrape options, see rowsFromResponses
+ * @returns {import('./scraper.js').MarketDataRow[]} Rows, empty when the fragment holds no results table
+ */
+function rowsFromFragment(html, options) {
+  // Bare rows are only kept by the HTML parser inside a table
+  const document = /<table[\s>]/i.test(html) ? html : `<table>${html}</table>`;
+  try {
+    return parseMarketResultsHtml(document, { ...options, tableSelector: 'tr', alternativeSelectors: [] });
+  } catch (error) {
+    // Not a results table (MissingColumnError is a ParseError), or one without data rows
+    if (error instanceof ParseError || error instanceof EmptyResultError) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Builds market data rows from the tables found in captured responses.
+ * Tables whose headers lack a required column of the market are not
+ * results tables and are skipped; rows repeated by a later response
+ * (e.g. a refresh of the same table) are kept once.
+ * @param {CapturedResponse[]} responses - Captured responses in arrival order
+ * @param {Object} [options] - Scrape options
+ * @param {string} [options.market] - Market modality selecting the column schema (defaults to CONFIG.MARKET)
+ * @param {Object<string, string[]>} [options.columnAliases] - Additional header labels per canonical field
+ * @param {string[]} [options.requiredColumns] - Fields that must be present in the header
+ * @returns {import('./scraper.js').MarketDataRow[]} Rows, empty when no response held a results table
+ */
+export function rowsFromResponses(responses, options = {}) {
+  const rows = [];
+  const seen = new Set();
+
+  for (const response of responses) {
+    let tables = [];
+    let fragments = [];
+    if (response.contentType.includes('json')) {
+      try {
+        ({ tables, fragments } = tablesFromJson(JSON.parse(response.body)));
+      } catch {
+        continue;
+      }
+    } else if (/<tr[\s>]/i.test(response.body)) {
+      fragments = [response.body];
+    }
+
+    const responseRows = [];
+    for (const table of tables) {
+      try {
+        responseRows.push(...rowsFromTable(table, options));
+      } catch (error) {
+        if (!(error instanceof MissingColumnError)) throw error;
+      }
+    }
+    for (const fragment of fragments) {
+      responseRows.push(...rowsFromFragment(fragment, options));
+    }
+
+    const keys = responseRows.map((row) => JSON.stringify(row));
+    responseRows.forEach((row, index) => {
+      if (!seen.has(keys[index])) {
+        rows.push(row);
+      }
+    });
+    keys.forEach((key) => seen.add(key));
+  }
+
+  return rows;
+}
@@ -0,0 +1,86 @@
+import { MissingColumnError } from './errors.js';
+
+/**
+ * Header labels recognised for each canonical row field.
+ * Labels are compared after normalizeHeader(), so they are listed in
+ * lower case without accents, punctuation or units.
+ */
+export const COLUMN_ALIASES = {
+  Period: ['time', 'period', 'hour', 'hours', 'delivery period', 'zeit', 'stunde', 'lieferperiode', 'lieferzeitraum', 'heure', 'periode', 'tranche horaire'],
+  Product: ['product', 'produkt', 'produit'],
+  Low: ['low', 'min', 'minimum', 'tief', 'niedrig', 'niedrigster preis', 'bas', 'plus bas', 'prix bas'],
+  High: ['high', 'max', 'maximum', 'hoch', 'hochst', 'hoechst', 'hochster preis', 'haut', 'plus haut', 'prix haut'],
+  Last: ['last', 'letzter', 'letzter preis', 'schluss', 'dernier', 'dernier prix'],
+  'Weight Avg': ['weight avg', 'weighted avg', 'weighted average', 'wavg', 'gewichteter durchschnitt', 'gew durchschnitt', 'gewichteter mittelwert', 'moyenne ponderee', 'moy ponderee'],
+  Volume: ['volume', 'volumen', 'vol', 'handelsvolumen'],
+  'Buy Volume': ['buy volume', 'buy vol', 'kaufvolumen', 'volume d achat', 'volume achat'],
+  'Sell Volume': ['sell volume', 'sell vol', 'verkaufsvolumen', 'volume de vente', 'volume vente'],
+  Price: ['price', 'clearing price', 'preis', 'prix']
+};
+
+/**
+ * Fields that must be present in the header of a continuous intraday table;
+ * other markets define their own, see getMarketSchema
+ */
+export const REQUIRED_COLUMNS = ['Period', 'Low', 'High', 'Last', 'Weight Avg'];
+
+/**
+ * Normalises a header label for alias matching: lower case, accents and
+ * units in brackets removed, punctuation collapsed to single spaces
+ * @param {string} label - Raw header text, e.g. "Moyenne pondérée (€/MWh)"
+ * @returns {string} Normalised label, e.g. "moyenne ponderee"
+ */
+export function normalizeHeader(label) {
+  return String(label)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Merges extra aliases into the default alias table
+ * @param {Object<string, string[]>} [extraAliases] - Additional labels per canonical field
+ * @returns {Object<string, string[]>} Alias table with normalised labels
+ */
+function mergeAliases(extraAliases = {}) {
+  const aliases = {};
+  for (const field of new Set([...Object.keys(COLUMN_ALIASES), ...Object.keys(extraAliases)])) {
+    aliases[field] = [...(COLUMN_ALIASES[field] || []), ...(extraAliases[field] || [])].map(normalizeHeader);
+  }
+  return aliases;
+}
+
+/**
+ * Maps table header labels to the column index of each canonical field
+ * @param {string[]} headers - Header labels in column order
+ * @param {Object} [options] - Mapping options
+ * @param {Object<string, string[]>} [options.columnAliases] - Additional labels per canonical field
+ * @param {string[]} [options.requiredColumns] - Fields that must be present (defaults to REQUIRED_COLUMNS)
+ * @returns {Object<string, number>} Column index per canonical field found in the header
+ * @throws {MissingColumnError} When a required field has no matching header
+ */
+export function mapHeaderColumns(headers, options = {}) {
+  const aliases = mergeAliases(options.columnAliases);
+  const requiredColumns = options.requiredColumns || REQUIRED_COLUMNS;
+  const columns = {};
+
+  headers.forEach((header, index) => {
+    const label = normalizeHeader(header);
+    const field = Object.keys(aliases).find((name) => aliases[name].includes(label));
+    if (field && columns[field] === undefined) {
+      columns[field] = index;
+    }
+  });
+
+  const missing = requiredColumns.filter((field) => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw new MissingColumnError(
+      `Required column(s) missing from table header: ${missing.join(', ')} (found: ${headers.join(', ') || 'no header'})`
+    );
+  }
+
+  return columns;
+}
@@ -0,0 +1,64 @@
+/**
+ * Default configuration for the EPEX SPOT scraper.
+ * Every value can be overridden per call through the options objects
+ * accepted by the library functions.
+ */
+export const CONFIG = {
+  BASE_URL: 'https://www.epexspot.com/en/market-results',
+  MARKET_AREA: 'GB',
+  MARKET: 'intraday-continuous', // See MARKETS in modalities.js
+  TABLE_SELECTOR: 'table tbody tr',
+  ALTERNATIVE_SELECTORS: [
+    'tbody tr',
+    '[role="row"]',
+    '.table tbody tr',
+    'table tr[role="row"]'
+  ],
+  LOAD_MORE_SELECTORS: [
+    'button:has-text("Load more")',
+    'button:has-text("Show more")',
+    '.load-more',
+    '[data-action="load-more"]'
+  ],
+  NEXT_PAGE_SELECTORS: [
+    '.pagination a[rel="next"]',
+    'button[aria-label="Next page"]',
+    '.pagination .next:not(.disabled) a',
+    '.pager__item--next a'
+  ],
+  COOKIE_CONSENT_SELECTORS: [
+    '#onetrust-accept-btn-handler',
+    '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll',
+    '.eu-cookie-compliance-banner .agree-button',
+    'button:has-text("Accept all")',
+    'button:has-text("Accept All Cookies")',
+    'button:has-text("Alle akzeptieren")',
+    'button:has-text("Tout accepter")'
+  ],
+  COOKIE_CONSENT_TIMEOUT: 2000, // Maximum wait for a consent banner to appear (ms)
+  USER_AGENT: null, // null keeps the browser's own user agent
+  LOCALE: null, // e.g. 'en-GB'; null keeps the browser's locale
+  TIMEZONE: null, // e.g. 'Europe/London'; null keeps the host time zone
+  MAX_PAGES: 50, // Pagination clicks / table scrolls per results table
+  PAGINATION_TIMEOUT: 10000,
+  OUTPUT_DIR: 'output',
+  OUTPUT_FILE: 'market_data.csv',
+  HISTORY_FILE: 'output/history.sqlite',
+  HISTORY_LOCK_TIMEOUT: 30000, // Wait for another writer to save the history store (ms)
+  HISTORY_LOCK_STALE_AGE: 10 * 60 * 1000, // Age at which a history store lock is left over from a dead writer (ms)
+  ARCHIVE_DIR: 'output/archive',
+  SCHEDULE_STATE_FILE: 'output/scheduler-state.json',
+  TIMEOUT: 30000,
+  NAVIGATION_TIMEOUT: 60000,
+  RETRY_ATTEMPTS: 3,
+  RETRY_DELAY: 2000, // Wait before the first retry, doubled (RETRY_BACKOFF_FACTOR) per retry
+  RETRY_MAX_DELAY: 30000,
+  RETRY_BACKOFF_FACTOR: 2,
+  RETRY_JITTER: 0.5, // Share of each wait that is randomised
+  RETRY_BUDGET: 180000, // Total time for all attempts at one page (ms)
+  RETRY_ON: ['rate-limited', 'server-error', 'timeout', 'empty', 'incomplete', 'parse'], // See FAILURE_CLASSES in retry.js
+  POLL_INTERVAL: 10 * 60 * 1000, // Wait before polling again for results not yet published (ms)
+  POLL_DEADLINE: 6 * 60 * 60 * 1000, // Time after the publication time at which polling gives up (ms)
+  PRICE_BOUNDS: { MIN: -9999, MAX: 9999 }, // Harmonised intraday price limits (per MWh)
+  MAX_ERROR_RATE: 0.1 // Share of rejected rows above which validation fails the run
+};
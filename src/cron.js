@@ -0,0 +1,180 @@
+import { addDays } from './dates.js';
+import { zonedDate, zonedTimeToUtc } from './time.js';
+
+/**
+ * Fields of a cron expression with their ranges and accepted names
+ */
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+/**
+ * Shorthands accepted in place of the five fields
+ */
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+/**
+ * Days searched for the next matching time; covers the 29th of February
+ */
+const SEARCH_DAYS = 4 * 366;
+
+/**
+ * A parsed cron expression
+ * @typedef {Object} CronSchedule
+ * @property {string} expression - Expression as given
+ * @property {number[]} minutes - Matching minutes, ascending
+ * @property {number[]} hours - Matching hours, ascending
+ * @property {Set<number>} daysOfMonth - Matching days of the month
+ * @property {Set<number>} months - Matching months (1-12)
+ * @property {Set<number>} daysOfWeek - Matching days of the week (0 = Sunday)
+ * @property {boolean} anyDayOfMonth - Day of month starts with "*" (e.g. "*" or "*\/2")
+ * @property {boolean} anyDayOfWeek - Day of week starts with "*"
+ */
+
+/**
+ * Parses one value of a cron field, a number or a name
+ * @param {string} value - Field value
+ * @param {Object} field - Field definition, see FIELDS
+ * @param {string} expression - Whole expression, for error messages
+ * @returns {number} Parsed value
+ * @throws {Error} When the value is not valid for the field
+ */
+function parseValue(value, field, expression) {
+  const named = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  const number = named >= 0 ? named + (field.min === 1 ? 1 : 0) : /^\d+$/.test(value) ? Number(value) : NaN;
+  if (!(number >= field.min && number <= field.max)) {
+    throw new Error(`Invalid ${field.name} "${value}" in cron expression "${expression}" (expected ${field.min}-${field.max})`);
+  }
+  return number;
+}
+
+/**
+ * Parses a cron field: "*", values, ranges and steps, separated by commas
+ * @param {string} text - Field text, e.g. "1-5" or "0,30" or "*\/15"
+ * @param {Object} field - Field definition, see FIELDS
+ * @param {string} expression - Whole expression, for error messages
+ * @returns {number[]} Matching values, ascending
+ * @throws {Error} When the field is not valid
+ */
+function parseField(text, field, expression) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in cron expression "${expression}"`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [field.min, field.max];
+    } else {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field, expression);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field, expression);
+    }
+    if (from > to) {
+      throw new Error(`Invalid range "${range}" in cron expression "${expression}"`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parses a five-field cron expression: minute, hour, day of month, month
+ * and day of week, each "*", a value, a range or a list, with optional
+ * steps; month and weekday names and @daily-style shorthands are accepted.
+ * As in cron, a day matches either restricted day field when both are set.
+ * @param {string} expression - Cron expression, e.g. "45 12 * * *" or "*\/15 8-18 * * mon-fri"
+ * @returns {CronSchedule} Parsed expression
+ * @throws {Error} When the expression is not valid
+ */
+export function parseCron(expression) {
+  const text = String(expression).trim();
+  const fields = (ALIASES[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}" (expected 5 fields: minute hour day-of-month month day-of-week)`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => parseField(field, FIELDS[index], expression));
+  return {
+    expression: text,
+    minutes,
+    hours,
+    daysOfMonth: new Set(daysOfMonth),
+    months: new Set(months),
+    // 7 is Sunday as well as 0
+    daysOfWeek: new Set(daysOfWeek.map((day) => day % 7)),
+    // As in Vixie cron, a stepped "*" leaves its day field unrestricted for the either-day rule
+    anyDayOfMonth: fields[2].startsWith('*'),
+    anyDayOfWeek: fields[4].startsWith('*')
+  };
+}
+
+/**
+ * Checks whether a cron schedule runs on a calendar date
+ * @param {CronSchedule} schedule - Parsed expression
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @returns {boolean} True when the schedule runs that day
+ */
+function runsOn(schedule, date) {
+  const [year, month, day] = date.split('-').map(Number);
+  if (!schedule.months.has(month)) {
+    return false;
+  }
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const dayOfMonth = schedule.daysOfMonth.has(day);
+  const dayOfWeek = schedule.daysOfWeek.has(weekday);
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Finds the first time after an instant at which a cron schedule runs,
+ * reading the schedule in a time zone. Times skipped when summer time
+ * starts run an hour later; times repeated when it ends run once.
+ * @param {CronSchedule|string} schedule - Parsed or textual cron expression
+ * @param {Date|number} after - Instant to search from (exclusive)
+ * @param {string} timeZone - IANA time zone the schedule is read in
+ * @returns {Date} Next run time
+ * @throws {Error} When the schedule never runs (e.g. "0 0 31 2 *")
+ */
+export function nextCronTime(schedule, after, timeZone) {
+  const cron = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const afterTime = after instanceof Date ? after.getTime() : after;
+  const firstDate = zonedDate(afterTime, timeZone);
+
+  for (let offset = 0; offset < SEARCH_DAYS; offset++) {
+    const date = addDays(firstDate, offset);
+    if (!runsOn(cron, date)) {
+      continue;
+    }
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        const instant = zonedTimeToUtc(date, hour, minute, timeZone);
+        if (instant.getTime() > afterTime) {
+          return instant;
+        }
+      }
+    }
+  }
+  throw new Error(`Cron expression "${cron.expression}" never runs`);
+}
@@ -0,0 +1,102 @@
+import { timeZoneFor } from './markets.js';
+import { zonedDate } from './time.js';
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Moves a calendar date by whole days. Works on the date itself rather than
+ * on instants, so 23 and 25 hour DST change days count as one day each.
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add, negative to go back
+ * @returns {string} Resulting date (YYYY-MM-DD)
+ */
+export function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Gets today's date in a market's local time zone
+ * @param {Object} [options] - Date options
+ * @param {string} [options.marketArea] - Market area whose time zone is used (defaults to CONFIG.MARKET_AREA)
+ * @param {string} [options.timeZone] - IANA time zone, overrides the market area's
+ * @param {Date} [options.now] - Current instant (defaults to now)
+ * @returns {string} Local date (YYYY-MM-DD)
+ */
+export function getMarketDate(options = {}) {
+  const timeZone = options.timeZone || timeZoneFor(options.marketArea);
+  return zonedDate(options.now || new Date(), timeZone);
+}
+
+/**
+ * Gets yesterday's date in ISO format (YYYY-MM-DD), in the market's local
+ * time zone: at 00:30 in Berlin (23:30 UTC) yesterday is already the
+ * previous Berlin day, not the previous UTC day
+ * @param {Object} [options] - Date options, see getMarketDate
+ * @returns {string} Yesterday's date
+ */
+export function getYesterdayDate(options = {}) {
+  return addDays(getMarketDate(options), -1);
+}
+
+/**
+ * Checks that a string is a real calendar date in YYYY-MM-DD format
+ * @param {string} value - Candidate date
+ * @returns {boolean} True when the date is valid
+ */
+export function isValidDate(value) {
+  if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Lists every date from start to end, both inclusive
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {string[]} Dates in ascending order
+ */
+export function listDates(startDate, endDate) {
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    throw new Error(`Invalid date range: ${startDate} to ${endDate} (expected YYYY-MM-DD)`);
+  }
+
+  const start = Date.parse(`${startDate}T00:00:00Z`);
+  const end = Date.parse(`${endDate}T00:00:00Z`);
+  if (start > end) {
+    throw new Error(`Start date ${startDate} is after end date ${endDate}`);
+  }
+
+  const dates = [];
+  for (let time = start; time <= end; time += DAY_MS) {
+    dates.push(new Date(time).toISOString().split('T')[0]);
+  }
+  return dates;
+}
+
+/**
+ * Resolves the delivery dates requested by a set of scrape options.
+ * A start/end range takes precedence over a single delivery date; with
+ * neither, yesterday in the market area's time zone is used.
+ * @param {Object} [options] - Scrape options
+ * @param {string} [options.marketArea] - Market area the default date is computed for
+ * @param {string} [options.timeZone] - IANA time zone, overrides the market area's
+ * @param {Date} [options.now] - Current instant for the default date (defaults to now)
+ * @param {string} [options.deliveryDate] - Single delivery date (YYYY-MM-DD)
+ * @param {string} [options.startDate] - First delivery date of a range
+ * @param {string} [options.endDate] - Last delivery date of a range
+ * @returns {string[]} Delivery dates in ascending order
+ */
+export function resolveDeliveryDates(options = {}) {
+  if (options.startDate || options.endDate) {
+    return listDates(options.startDate || options.endDate, options.endDate || options.startDate);
+  }
+
+  const deliveryDate = options.deliveryDate || getYesterdayDate(options);
+  if (!isValidDate(deliveryDate)) {
+    throw new Error(`Invalid delivery date: ${deliveryDate} (expected YYYY-MM-DD)`);
+  }
+  return [deliveryDate];
+}
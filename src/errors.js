@@ -0,0 +1,94 @@
+/**
+ * Base class for errors raised by the scraper.
+ * Callers can branch on the subclass instead of matching error messages.
+ */
+export class ScraperError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Standard Error options (e.g. cause)
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * The website refused access (403 Forbidden / bot protection).
+ * The evidence is attached so callers can tell a challenge from a ban.
+ */
+export class BlockedError extends ScraperError {
+  /**
+   * @param {string} message - Error message
+   * @param {import('./blocking.js').BlockDetection|null} [detection] - What showed the page is blocked
+   */
+  constructor(message, detection = null) {
+    super(message);
+    this.detection = detection;
+  }
+}
+
+/**
+ * The website asked us to slow down (429 Too Many Requests)
+ */
+export class RateLimitedError extends ScraperError {
+  /**
+   * @param {string} message - Error message
+   * @param {number|null} [retryAfter] - Wait the Retry-After header asked for (ms), if any
+   */
+  constructor(message, retryAfter = null) {
+    super(message);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * The website answered with a server error (5xx)
+ */
+export class ServerError extends ScraperError {
+  /**
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   */
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * The results table was found but contained no complete data rows
+ */
+export class EmptyResultError extends ScraperError {}
+
+/**
+ * The results table lists fewer periods than its delivery day has,
+ * e.g. because pagination could not be followed to the end
+ */
+export class IncompleteResultError extends ScraperError {}
+
+/**
+ * The page structure could not be recognised as a results table
+ */
+export class ParseError extends ScraperError {}
+
+/**
+ * The results table header lacks a required column.
+ * Retrying will not help, so scrapeMarketData fails immediately.
+ */
+export class MissingColumnError extends ParseError {}
+
+/**
+ * Too many rows failed validation.
+ * The validation result is attached so callers can still write the report.
+ */
+export class ValidationError extends ScraperError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} result - Result of validateRows
+   */
+  constructor(message, result) {
+    super(message);
+    this.result = result;
+  }
+}
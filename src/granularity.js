@@ -0,0 +1,252 @@
+import { getMarketSchema } from './modalities.js';
+import { deliveryDayBounds, parsePeriodLabel, periodBounds } from './time.js';
+
+/**
+ * Product granularities and their period length in minutes
+ */
+export const GRANULARITIES = {
+  'quarter-hour': 15,
+  'half-hour': 30,
+  hour: 60
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Gets the length of a period label in minutes
+ * @param {string} period - Period label
+ * @returns {number|null} Minutes, or null when the label has no end time
+ */
+function periodMinutes(period) {
+  const minutes = parsePeriodLabel(period);
+  return minutes && minutes.end !== null ? minutes.end - minutes.start : null;
+}
+
+/**
+ * Works out the product granularity of a table from its period labels:
+ * the shortest labelled period, or the smallest step between start times
+ * when the labels carry no end time
+ * @param {string[]} periods - Period labels
+ * @returns {string|null} Key of GRANULARITIES, or null when it cannot be told
+ */
+export function detectGranularity(periods) {
+  const durations = periods.map(periodMinutes).filter((minutes) => minutes > 0);
+  let minutes = durations.length > 0 ? Math.min(...durations) : null;
+
+  if (minutes === null) {
+    const starts = [...new Set(periods.map((period) => parsePeriodLabel(period)?.start).filter((start) => start !== undefined))]
+      .sort((a, b) => a - b);
+    const steps = starts.slice(1).map((start, index) => start - starts[index]);
+    minutes = steps.length > 0 ? Math.min(...steps) : null;
+  }
+
+  return Object.keys(GRANULARITIES).find((name) => GRANULARITIES[name] === minutes) || null;
+}
+
+/**
+ * Resolves the granularity of a table: the requested one, or the detected
+ * one when options.granularity is "auto" or omitted
+ * @param {Array} rows - Rows with Period labels
+ * @param {Object} [options] - Granularity options
+ * @param {string} [options.granularity] - Key of GRANULARITIES, or "auto" (default)
+ * @returns {string|null} Key of GRANULARITIES, or null when it cannot be detected
+ * @throws {Error} When the requested granularity is not supported
+ */
+export function resolveGranularity(rows, options = {}) {
+  const requested = options.granularity || 'auto';
+  if (requested === 'auto') {
+    return detectGranularity(rows.map((row) => row.Period));
+  }
+  if (!GRANULARITIES[requested]) {
+    throw new Error(`Unknown granularity "${requested}" (expected one of: auto, ${Object.keys(GRANULARITIES).join(', ')})`);
+  }
+  return requested;
+}
+
+/**
+ * Adds the UTC start and end of each period as "Period Start" and "Period End"
+ * (ISO 8601). Labels without an end time last one granularity step. On the
+ * day summer time ends the repeated local hour appears twice; a period that
+ * does not start after the one before is taken from the second occurrence,
+ * so that periods keep ascending.
+ * When a granularity is given explicitly, rows labelled with a different
+ * period length (e.g. hourly rows in a quarter-hour table) are left out.
+ * @param {Array} rows - Typed rows of one market area and delivery date, in table order
+ * @param {Object} options - Period options
+ * @param {string} options.deliveryDate - Delivery date (YYYY-MM-DD)
+ * @param {string} options.timeZone - IANA time zone the labels are quoted in
+ * @param {string} [options.granularity] - Key of GRANULARITIES, or "auto" (default)
+ * @returns {Array} Rows with Period Start and Period End
+ */
+export function addPeriodBounds(rows, options) {
+  const granularity = resolveGranularity(rows, options);
+  const duration = GRANULARITIES[granularity];
+  const explicit = options.granularity && options.granularity !== 'auto';
+  let previousStart = null;
+
+  return rows
+    .filter((row) => !explicit || [null, duration].includes(periodMinutes(row.Period)))
+    .map((row) => {
+      let { start, end } = periodBounds(options.deliveryDate, row.Period, options.timeZone, duration);
+      if (start && previousStart !== null && start <= previousStart) {
+        ({ start, end } = periodBounds(options.deliveryDate, row.Period, options.timeZone, duration, { later: true }));
+      }
+      if (start) {
+        previousStart = start;
+      }
+      return {
+        ...row,
+        'Period Start': start ? start.toISOString() : null,
+        'Period End': end ? end.toISOString() : null
+      };
+    });
+}
+
+/**
+ * Checks that a table lists every period of its delivery day: the rows of
+ * the table's granularity are counted against the number of such periods
+ * in the day, which has 23 or 25 hours on DST change days. Rows of other
+ * lengths (e.g. hourly rows in a quarter-hour table) are not counted.
+ * @param {Array} rows - Rows of one market area and delivery date with Period labels
+ * @param {Object} options - Period options
+ * @param {string} options.deliveryDate - Delivery date (YYYY-MM-DD)
+ * @param {string} options.timeZone - IANA time zone of the market area
+ * @param {string} [options.granularity] - Key of GRANULARITIES, or "auto" (default)
+ * @returns {{granularity: string|null, expected: number|null, actual: number, complete: boolean}}
+ *   Period counts; complete is true when the granularity cannot be detected
+ */
+export function checkPeriodCount(rows, options) {
+  const granularity = resolveGranularity(rows, options);
+  if (!granularity) {
+    return { granularity, expected: null, actual: rows.length, complete: true };
+  }
+
+  const duration = GRANULARITIES[granularity];
+  const { hours } = deliveryDayBounds(options.deliveryDate, options.timeZone);
+  const expected = hours * 60 / duration;
+  const actual = rows.filter((row) => [null, duration].includes(periodMinutes(row.Period))).length;
+  return { granularity, expected, actual, complete: actual >= expected };
+}
+
+/**
+ * Formats minutes after midnight as HH:MM
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Time label
+ */
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Sums the non-null values of a field
+ * @param {Array} rows - Typed rows
+ * @param {string} field - Numeric field
+ * @returns {number|null} Sum, or null when no row has a value
+ */
+function sumOf(rows, field) {
+  const values = rows.map((row) => row[field]).filter((value) => value !== null && value !== undefined);
+  return values.length > 0 ? values.reduce((total, value) => total + value, 0) : null;
+}
+
+/**
+ * Averages the non-null values of a field, weighted by Volume when every
+ * such row has a volume
+ * @param {Array} rows - Typed rows
+ * @param {string} field - Numeric field
+ * @param {boolean} weighted - Weight by Volume
+ * @returns {number|null} Average, or null when no row has a value
+ */
+function averageOf(rows, field, weighted) {
+  const withValue = rows.filter((row) => row[field] !== null && row[field] !== undefined);
+  if (withValue.length === 0) {
+    return null;
+  }
+  const totalVolume = sumOf(withValue, 'Volume');
+  if (weighted && totalVolume > 0 && withValue.every((row) => row.Volume !== null && row.Volume !== undefined)) {
+    return withValue.reduce((total, row) => total + row[field] * row.Volume, 0) / totalVolume;
+  }
+  return withValue.reduce((total, row) => total + row[field], 0) / withValue.length;
+}
+
+/**
+ * Combines the sub-hourly rows of one hour into an hourly row.
+ * Continuous prices become the hour's Low (minimum), High (maximum), Last
+ * (last published) and volume-weighted Weight Avg; auction prices become
+ * the plain average, as for hourly index prices. Volumes are summed.
+ * @param {Array} rows - Rows of one hour, in period order
+ * @param {number} startMinutes - Start of the hour in minutes after local midnight
+ * @param {number} startInstant - Start of the hour in milliseconds since the epoch
+ * @returns {Object} Hourly row
+ */
+function combineHour(rows, startMinutes, startInstant) {
+  const [first] = rows;
+  const { fields, volumeFields } = getMarketSchema(first.Market);
+  const products = new Set(rows.map((row) => row.Product));
+  const hourly = {
+    ...first,
+    Period: `${formatMinutes(startMinutes)} - ${formatMinutes(startMinutes + 60)}`,
+    'Period Start': new Date(startInstant).toISOString(),
+    'Period End': new Date(startInstant + HOUR_MS).toISOString()
+  };
+
+  if (fields.includes('Product')) {
+    hourly.Product = products.size === 1 ? first.Product : null;
+  }
+  for (const field of volumeFields) {
+    hourly[field] = sumOf(rows, field);
+  }
+  if (fields.includes('Price')) {
+    hourly.Price = averageOf(rows, 'Price', false);
+  }
+  if (fields.includes('Low')) {
+    const lows = rows.map((row) => row.Low).filter((value) => value !== null && value !== undefined);
+    const highs = rows.map((row) => row.High).filter((value) => value !== null && value !== undefined);
+    hourly.Low = lows.length > 0 ? Math.min(...lows) : null;
+    hourly.High = highs.length > 0 ? Math.max(...highs) : null;
+    hourly.Last = [...rows].reverse().find((row) => row.Last !== null && row.Last !== undefined)?.Last ?? null;
+    hourly['Weight Avg'] = averageOf(rows, 'Weight Avg', true);
+  }
+  return hourly;
+}
+
+/**
+ * Aggregates quarter-hourly and half-hourly rows up to hourly rows, per
+ * market area, delivery date and market. An hour that the table already
+ * lists as an hourly row (or a row of unknown length) keeps that row and
+ * ignores its sub-hourly rows; rows whose label has no time are passed
+ * through unchanged.
+ * @param {Array} rows - Typed rows with Period Start, see addPeriodBounds
+ * @returns {Array} Hourly rows in first-seen order
+ */
+export function aggregateToHourly(rows) {
+  const hours = new Map();
+  const passThrough = [];
+
+  for (const row of rows) {
+    const minutes = parsePeriodLabel(row.Period);
+    if (!minutes || !row['Period Start']) {
+      passThrough.push(row);
+      continue;
+    }
+    const startInstant = Math.floor(Date.parse(row['Period Start']) / HOUR_MS) * HOUR_MS;
+    const key = `${row['Market Area'] ?? ''}|${row['Delivery Date'] ?? ''}|${row.Market ?? ''}|${startInstant}`;
+    if (!hours.has(key)) {
+      hours.set(key, { startMinutes: Math.floor(minutes.start / 60) * 60, startInstant, hourly: null, rows: [] });
+    }
+    const hour = hours.get(key);
+    // The label tells the length; Period End only when the label has no end time
+    const durationMs = minutes.end !== null
+      ? (minutes.end - minutes.start) * 60 * 1000
+      : row['Period End'] ? Date.parse(row['Period End']) - Date.parse(row['Period Start']) : HOUR_MS;
+    if (durationMs >= HOUR_MS) {
+      hour.hourly = row;
+    } else {
+      hour.rows.push(row);
+    }
+  }
+
+  return [
+    ...[...hours.values()].map((hour) => hour.hourly || combineHour(hour.rows, hour.startMinutes, hour.startInstant)),
+    ...passThrough
+  ];
+}
@@ -0,0 +1,492 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import { CONFIG } from './config.js';
+import { addPeriodBounds } from './granularity.js';
+import { timeZoneFor } from './markets.js';
+
+/**
+ * Row fields stored per period, mapped to their SQLite column
+ */
+const STORED_FIELDS = [
+  { column: 'product', field: 'Product' },
+  { column: 'low', field: 'Low' },
+  { column: 'high', field: 'High' },
+  { column: 'last', field: 'Last' },
+  { column: 'weight_avg', field: 'Weight Avg' },
+  { column: 'price', field: 'Price' },
+  { column: 'buy_volume', field: 'Buy Volume' },
+  { column: 'sell_volume', field: 'Sell Volume' },
+  { column: 'volume', field: 'Volume' },
+  { column: 'price_unit', field: 'Price Unit' },
+  { column: 'volume_unit', field: 'Volume Unit' }
+];
+
+const VALUE_COLUMNS = STORED_FIELDS.map(({ column }) => column);
+
+/**
+ * Market of rows stored before the market modality was recorded
+ */
+const LEGACY_MARKET = 'intraday-continuous';
+
+/**
+ * Columns identifying a period in the latest table. The UTC period start
+ * tells apart the two periods of the repeated hour on the day summer time
+ * ends, which share their label; rows without one store an empty string.
+ */
+const KEY_COLUMNS = ['market', 'market_area', 'delivery_date', 'period', 'period_start'];
+
+/**
+ * Lock file next to a store while a writer saves it, and how often a waiting
+ * writer checks it (ms)
+ */
+const LOCK_SUFFIX = '.lock';
+const LOCK_RETRY_DELAY = 50;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    market_area TEXT NOT NULL,
+    delivery_date TEXT NOT NULL,
+    period TEXT NOT NULL,
+    product TEXT,
+    low REAL,
+    high REAL,
+    last REAL,
+    weight_avg REAL,
+    volume REAL,
+    price_unit TEXT,
+    volume_unit TEXT,
+    scraped_at TEXT NOT NULL,
+    market TEXT NOT NULL DEFAULT '${LEGACY_MARKET}',
+    price REAL,
+    buy_volume REAL,
+    sell_volume REAL,
+    period_start TEXT NOT NULL DEFAULT ''
+  );
+  CREATE INDEX IF NOT EXISTS revisions_by_market_key ON revisions (market, market_area, delivery_date, period, scraped_at);
+  CREATE TABLE IF NOT EXISTS latest (
+    market TEXT NOT NULL,
+    market_area TEXT NOT NULL,
+    delivery_date TEXT NOT NULL,
+    period TEXT NOT NULL,
+    period_start TEXT NOT NULL DEFAULT '',
+    product TEXT,
+    low REAL,
+    high REAL,
+    last REAL,
+    weight_avg REAL,
+    price REAL,
+    buy_volume REAL,
+    sell_volume REAL,
+    volume REAL,
+    price_unit TEXT,
+    volume_unit TEXT,
+    scraped_at TEXT NOT NULL,
+    revision_id INTEGER NOT NULL REFERENCES revisions (id),
+    PRIMARY KEY (${KEY_COLUMNS.join(', ')})
+  );
+`;
+
+/**
+ * Upgrades a store created before rows were keyed by market or by period
+ * start. Rows stored without a market came from the continuous intraday
+ * table; period starts are worked out from the labels of each stored day.
+ * Revisions gain the new columns in place; the latest table is rebuilt
+ * from them because its key changes.
+ * @param {Object} db - sql.js database
+ */
+function migrateSchema(db) {
+  const latestColumns = queryAll(db, 'PRAGMA table_info(latest)').map(({ name }) => name);
+  if (latestColumns.length === 0 || latestColumns.includes('period_start')) {
+    return;
+  }
+
+  if (!latestColumns.includes('market')) {
+    db.run(`
+      ALTER TABLE revisions ADD COLUMN market TEXT NOT NULL DEFAULT '${LEGACY_MARKET}';
+      ALTER TABLE revisions ADD COLUMN price REAL;
+      ALTER TABLE revisions ADD COLUMN buy_volume REAL;
+      ALTER TABLE revisions ADD COLUMN sell_volume REAL;
+      DROP INDEX IF EXISTS revisions_by_key;
+    `);
+  }
+  db.run(`
+    ALTER TABLE revisions ADD COLUMN period_start TEXT NOT NULL DEFAULT '';
+    DROP TABLE latest;
+  `);
+
+  const days = queryAll(db, 'SELECT DISTINCT market, market_area, delivery_date FROM revisions');
+  for (const { market, market_area: marketArea, delivery_date: deliveryDate } of days) {
+    const periods = queryAll(db, `
+      SELECT DISTINCT period FROM revisions
+      WHERE market = $market AND market_area = $marketArea AND delivery_date = $deliveryDate ORDER BY period
+    `, { $market: market, $marketArea: marketArea, $deliveryDate: deliveryDate });
+    const bounds = addPeriodBounds(periods.map(({ period }) => ({ Period: period })), { deliveryDate, timeZone: timeZoneFor(marketArea) });
+    for (const row of bounds.filter((bound) => bound['Period Start'])) {
+      db.run(`
+        UPDATE revisions SET period_start = $periodStart
+        WHERE market = $market AND market_area = $marketArea AND delivery_date = $deliveryDate AND period = $period
+      `, { $periodStart: row['Period Start'], $market: market, $marketArea: marketArea, $deliveryDate: deliveryDate, $period: row.Period });
+    }
+  }
+
+  db.run(SCHEMA);
+  const copiedColumns = [...KEY_COLUMNS, ...VALUE_COLUMNS, 'scraped_at'].join(', ');
+  db.run(`
+    INSERT INTO latest (${copiedColumns}, revision_id)
+    SELECT ${copiedColumns}, id FROM revisions AS revision
+    WHERE NOT EXISTS (
+      SELECT 1 FROM revisions AS later
+      WHERE ${KEY_COLUMNS.map((column) => `later.${column} = revision.${column}`).join(' AND ')}
+        AND (later.scraped_at > revision.scraped_at OR (later.scraped_at = revision.scraped_at AND later.id > revision.id))
+    );
+  `);
+}
+
+/**
+ * Runs a query and returns every result row as an object
+ * @param {Object} db - sql.js database
+ * @param {string} sql - SQL statement
+ * @param {Object} [params] - Named parameters
+ * @returns {Object[]} Result rows
+ */
+function queryAll(db, sql, params = {}) {
+  const statement = db.prepare(sql);
+  try {
+    statement.bind(params);
+    const results = [];
+    while (statement.step()) {
+      results.push(statement.getAsObject());
+    }
+    return results;
+  } finally {
+    statement.free();
+  }
+}
+
+/**
+ * Converts a stored record back to the typed row model
+ * @param {Object} record - Row of the latest or revisions table
+ * @returns {Object} Typed market data row plus its Scraped At timestamp
+ */
+function toMarketRow(record) {
+  const row = {
+    'Market Area': record.market_area,
+    'Delivery Date': record.delivery_date,
+    Market: record.market,
+    Period: record.period,
+    'Period Start': record.period_start || null
+  };
+  for (const { column, field } of STORED_FIELDS) {
+    row[field] = record[column];
+  }
+  row['Scraped At'] = record.scraped_at;
+  return row;
+}
+
+/**
+ * Builds the WHERE clause and parameters for a row filter
+ * @param {Object} filter - Filter fields
+ * @returns {{where: string, params: Object}} SQL fragment and parameters
+ */
+function buildFilter(filter = {}) {
+  const conditions = [];
+  const params = {};
+  if (filter.market) {
+    conditions.push('market = $market');
+    params.$market = filter.market;
+  }
+  if (filter.marketArea) {
+    conditions.push('market_area = $marketArea');
+    params.$marketArea = filter.marketArea;
+  }
+  if (filter.deliveryDate) {
+    conditions.push('delivery_date = $deliveryDate');
+    params.$deliveryDate = filter.deliveryDate;
+  }
+  if (filter.startDate) {
+    conditions.push('delivery_date >= $startDate');
+    params.$startDate = filter.startDate;
+  }
+  if (filter.endDate) {
+    conditions.push('delivery_date <= $endDate');
+    params.$endDate = filter.endDate;
+  }
+  if (filter.period) {
+    conditions.push('period = $period');
+    params.$period = filter.period;
+  }
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Reads a store file into memory, upgrading its schema, or creates an empty store
+ * @param {Object} SQL - sql.js module
+ * @param {string} filePath - SQLite file
+ * @returns {Object} sql.js database
+ */
+function readDatabase(SQL, filePath) {
+  const db = fs.existsSync(filePath)
+    ? new SQL.Database(fs.readFileSync(filePath))
+    : new SQL.Database();
+  migrateSchema(db);
+  db.run(SCHEMA);
+  return db;
+}
+
+/**
+ * Stores typed rows as a new revision and makes them the latest values,
+ * unless a later scrape of the same period is already stored
+ * @param {Object} db - sql.js database
+ * @param {Array} rows - Typed rows, see upsertRows
+ * @param {string} scrapedAt - Scrape timestamp (ISO 8601)
+ * @returns {{inserted: number, updated: number}} Periods new to the store and periods whose latest value was replaced
+ */
+function storeRows(db, rows, scrapedAt) {
+  const counts = { inserted: 0, updated: 0 };
+  const insertRevision = db.prepare(`
+    INSERT INTO revisions (${KEY_COLUMNS.join(', ')}, ${VALUE_COLUMNS.join(', ')}, scraped_at)
+    VALUES ($market, $marketArea, $deliveryDate, $period, $periodStart, ${VALUE_COLUMNS.map((column) => `$${column}`).join(', ')}, $scrapedAt)
+  `);
+  const upsertLatest = db.prepare(`
+    INSERT INTO latest (${KEY_COLUMNS.join(', ')}, ${VALUE_COLUMNS.join(', ')}, scraped_at, revision_id)
+    VALUES ($market, $marketArea, $deliveryDate, $period, $periodStart, ${VALUE_COLUMNS.map((column) => `$${column}`).join(', ')}, $scrapedAt, $revisionId)
+    ON CONFLICT (${KEY_COLUMNS.join(', ')}) DO UPDATE SET
+      ${VALUE_COLUMNS.map((column) => `${column} = excluded.${column}`).join(', ')},
+      scraped_at = excluded.scraped_at,
+      revision_id = excluded.revision_id
+    WHERE excluded.scraped_at >= latest.scraped_at
+  `);
+
+  try {
+    db.run('BEGIN');
+    for (const row of rows) {
+      if (!row['Market Area'] || !row['Delivery Date'] || !row.Period) {
+        throw new Error(`Cannot store row without Market Area, Delivery Date and Period: ${JSON.stringify(row)}`);
+      }
+
+      const params = {
+        $market: row.Market || CONFIG.MARKET,
+        $marketArea: row['Market Area'],
+        $deliveryDate: row['Delivery Date'],
+        $period: row.Period,
+        $periodStart: row['Period Start'] || '',
+        $scrapedAt: scrapedAt
+      };
+      for (const { column, field } of STORED_FIELDS) {
+        params[`$${column}`] = row[field] ?? null;
+      }
+
+      const existing = queryAll(db, `
+        SELECT 1 FROM latest
+        WHERE market = $market AND market_area = $marketArea AND delivery_date = $deliveryDate
+          AND period = $period AND period_start = $periodStart
+      `, {
+        $market: params.$market,
+        $marketArea: params.$marketArea,
+        $deliveryDate: params.$deliveryDate,
+        $period: params.$period,
+        $periodStart: params.$periodStart
+      });
+
+      insertRevision.run(params);
+      const [{ id }] = queryAll(db, 'SELECT last_insert_rowid() AS id');
+      upsertLatest.run({ ...params, $revisionId: id });
+      // No change when a later scrape of the period is already stored
+      const [{ changed }] = queryAll(db, 'SELECT changes() AS changed');
+      if (changed > 0) {
+        counts[existing.length > 0 ? 'updated' : 'inserted']++;
+      }
+    }
+    db.run('COMMIT');
+  } catch (error) {
+    db.run('ROLLBACK');
+    throw error;
+  } finally {
+    insertRevision.free();
+    upsertLatest.free();
+  }
+
+  return counts;
+}
+
+/**
+ * Moves a lock older than CONFIG.HISTORY_LOCK_STALE_AGE out of the way: it
+ * was left by a writer that died while saving. The rename is atomic, so of
+ * several writers finding the same stale lock only one moves it; a lock
+ * that turns out to be fresh once moved is put back.
+ * @param {string} lockPath - Lock file
+ * @returns {Promise<boolean>} Whether the lock is gone and taking it is worth trying again
+ */
+async function removeStaleLock(lockPath) {
+  const lock = await fs.promises.stat(lockPath).catch(() => null);
+  if (!lock || Date.now() - lock.mtimeMs <= CONFIG.HISTORY_LOCK_STALE_AGE) {
+    return !lock;
+  }
+
+  const movedPath = `${lockPath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.stale`;
+  try {
+    await fs.promises.rename(lockPath, movedPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return true;
+    }
+    throw error;
+  }
+
+  const moved = await fs.promises.stat(movedPath);
+  if (Date.now() - moved.mtimeMs <= CONFIG.HISTORY_LOCK_STALE_AGE) {
+    // Another writer took the stale lock over first: this is its lock
+    await fs.promises.link(movedPath, lockPath).catch(() => {});
+  } else {
+    console.warn(`   ⚠ Took over stale history store lock ${lockPath}`);
+  }
+  await fs.promises.rm(movedPath, { force: true });
+  return true;
+}
+
+/**
+ * Takes the lock file of a store, waiting while another writer holds it
+ * @param {string} lockPath - Lock file
+ * @param {number} [timeout] - Longest wait (ms, defaults to CONFIG.HISTORY_LOCK_TIMEOUT)
+ * @returns {Promise<function(): Promise<void>>} Releases the lock, unless another writer has taken it over
+ * @throws {Error} When another writer still holds the lock after the timeout
+ */
+async function acquireLock(lockPath, timeout = CONFIG.HISTORY_LOCK_TIMEOUT) {
+  // Unique per save: writers in one process share the pid
+  const owner = `${process.pid} ${crypto.randomBytes(6).toString('hex')}`;
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    try {
+      await fs.promises.writeFile(lockPath, owner, { flag: 'wx' });
+      return async () => {
+        const holder = await fs.promises.readFile(lockPath, 'utf-8').catch(() => null);
+        if (holder === owner) {
+          await fs.promises.rm(lockPath, { force: true });
+        } else {
+          console.warn(`   ⚠ History store lock ${lockPath} was taken over by another writer`);
+        }
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    if (await removeStaleLock(lockPath)) {
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`History store ${lockPath.slice(0, -LOCK_SUFFIX.length)} is locked by another writer`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_DELAY));
+  }
+}
+
+/**
+ * Opens (or creates) the local history store, a SQLite file keyed by
+ * market, market area, delivery date, period and period start. Every scrape is kept as a revision;
+ * the latest table holds the most recent revision of each period.
+ * Changes are held in memory until save() or close(). Several processes may
+ * write the same file: saving takes a lock file, reads the file again and
+ * stores this store's rows on top, so no writer loses another's revisions.
+ * @param {string} [filePath] - SQLite file (defaults to CONFIG.HISTORY_FILE)
+ * @returns {Promise<Object>} The store: upsertRows, getLatestRows, getRevisions, save, close
+ */
+export async function openHistoryStore(filePath = CONFIG.HISTORY_FILE) {
+  const SQL = await initSqlJs();
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  let db = readDatabase(SQL, resolvedPath);
+  // Upserts not yet saved, replayed onto the file as it is when saving
+  let pending = [];
+
+  /**
+   * Stores typed rows as a new revision and makes them the latest values,
+   * unless a later scrape of the same period is already stored
+   * @param {Array} rows - Typed rows carrying Market Area, Delivery Date and Period Start (see
+   *   addPeriodBounds); rows without a Market label are stored as CONFIG.MARKET
+   * @param {Object} [options] - Upsert options
+   * @param {string} [options.scrapedAt] - Scrape timestamp (ISO 8601), defaults to now
+   * @returns {{inserted: number, updated: number}} Periods new to the store and periods whose latest
+   *   value was replaced; periods with a later stored scrape only gain a revision and are not counted
+   */
+  function upsertRows(rows, options = {}) {
+    const scrapedAt = options.scrapedAt || new Date().toISOString();
+    const counts = storeRows(db, rows, scrapedAt);
+    pending.push({ rows, scrapedAt });
+    return counts;
+  }
+
+  /**
+   * Reads the latest value of every stored period matching a filter
+   * @param {Object} [filter] - Optional market, marketArea, deliveryDate, startDate, endDate
+   * @returns {Array} Typed rows with a Scraped At field, ordered by market, area, date and period
+   */
+  function getLatestRows(filter) {
+    const { where, params } = buildFilter(filter);
+    return queryAll(db, `SELECT * FROM latest ${where} ORDER BY market, market_area, delivery_date, period, period_start`, params)
+      .map(toMarketRow);
+  }
+
+  /**
+   * Reads every stored revision of the periods matching a filter, oldest first
+   * @param {Object} [filter] - Optional market, marketArea, deliveryDate, startDate, endDate, period
+   * @returns {Array} Typed rows with a Scraped At field
+   */
+  function getRevisions(filter) {
+    const { where, params } = buildFilter(filter);
+    return queryAll(db, `SELECT * FROM revisions ${where} ORDER BY market, market_area, delivery_date, period, period_start, scraped_at, id`, params)
+      .map(toMarketRow);
+  }
+
+  /**
+   * Writes the rows stored since the last save to disk. Under the store's
+   * lock the file is read again, so revisions other writers saved meanwhile
+   * are kept, and replaced through a temporary file, so an interrupted save
+   * never leaves a truncated database behind.
+   * @returns {Promise<void>}
+   */
+  async function save() {
+    if (pending.length === 0) {
+      return;
+    }
+
+    await fs.promises.mkdir(path.dirname(resolvedPath), { recursive: true });
+    const release = await acquireLock(`${resolvedPath}${LOCK_SUFFIX}`);
+    try {
+      const current = readDatabase(SQL, resolvedPath);
+      try {
+        for (const { rows, scrapedAt } of pending) {
+          storeRows(current, rows, scrapedAt);
+        }
+        const tempPath = `${resolvedPath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, Buffer.from(current.export()));
+        await fs.promises.rename(tempPath, resolvedPath);
+      } catch (error) {
+        current.close();
+        throw error;
+      }
+      db.close();
+      db = current;
+      pending = [];
+    } finally {
+      await release();
+    }
+  }
+
+  /**
+   * Saves and releases the store
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    try {
+      await save();
+    } finally {
+      db.close();
+    }
+  }
+
+  return { filePath: resolvedPath, upsertRows, getLatestRows, getRevisions, save, close };
+}
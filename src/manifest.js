@@ -0,0 +1,90 @@
+import fs from 'fs';
+import path from 'path';
+import { writeAtomically } from './writers/common.js';
+
+/**
+ * Appended to an output path to name its manifest, e.g. market_data.csv.manifest.json
+ */
+export const MANIFEST_SUFFIX = '.manifest.json';
+
+/**
+ * Name and version of this package, recorded in every manifest
+ */
+const PACKAGE = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+
+/**
+ * How one results page was scraped
+ * @typedef {Object} PageProvenance
+ * @property {string} url - Page URL
+ * @property {string} marketArea - Market area code
+ * @property {string} deliveryDate - Delivery date (YYYY-MM-DD)
+ * @property {string} market - Market modality
+ * @property {string} scrapedAt - When the page was read (ISO 8601)
+ * @property {string} source - "dom" or "network", see SOURCES
+ * @property {string|null} selector - Row selector that matched, null for network responses
+ * @property {number} attempts - Attempts needed to read the page, see runWithRetry
+ * @property {Array<{attempt: number, failureClass: string, message: string}>} failures - Failed attempts
+ * @property {number} tableRows - Complete rows read from the table
+ * @property {number} rows - Rows kept for the day (after granularity filtering or aggregation)
+ * @property {{granularity: string|null, expected: number|null, actual: number, complete: boolean}} periods -
+ *   Periods of the day found in the kept rows, see checkPeriodCount
+ */
+
+/**
+ * Provenance of a scrape run, see scrapeMarketRun
+ * @typedef {Object} RunProvenance
+ * @property {string} runId - Run id, see createRunId
+ * @property {string} startedAt - Run start (ISO 8601)
+ * @property {string} finishedAt - Run end (ISO 8601)
+ * @property {{name: string, version: string|null}} browser - Browser the pages were read with
+ * @property {PageProvenance[]} pages - Scraped pages
+ * @property {{rejected: number, issues: number}} [validation] - Validation outcome, when validated
+ */
+
+/**
+ * Gets the path of the manifest describing an output file
+ * @param {string} filePath - Output file (or Parquet dataset directory)
+ * @returns {string} Manifest path
+ */
+export function manifestPathFor(filePath) {
+  return `${filePath}${MANIFEST_SUFFIX}`;
+}
+
+/**
+ * Builds the manifest of an output file: the run it came from, the pages
+ * its rows were scraped from and its row count
+ * @param {string} filePath - Output file
+ * @param {Array} rows - Rows written to the file
+ * @param {RunProvenance} run - Provenance of the run
+ * @returns {Object} Manifest
+ */
+export function buildManifest(filePath, rows, run) {
+  const keys = new Set(rows.map((row) => `${row['Market Area']}|${row['Delivery Date']}|${row.Market}`));
+  const pages = run.pages.filter((page) => keys.has(`${page.marketArea}|${page.deliveryDate}|${page.market}`));
+
+  return {
+    file: path.basename(filePath),
+    generatedAt: new Date().toISOString(),
+    scraper: { name: PACKAGE.name, version: PACKAGE.version },
+    runId: run.runId,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    browser: run.browser,
+    rowCount: rows.length,
+    ...(run.validation && { validation: run.validation }),
+    pages
+  };
+}
+
+/**
+ * Writes the manifest of an output file next to it, see buildManifest
+ * @param {string} filePath - Output file
+ * @param {Array} rows - Rows written to the file
+ * @param {RunProvenance} run - Provenance of the run
+ * @returns {Promise<string>} Manifest path
+ */
+export async function writeManifest(filePath, rows, run) {
+  const manifestPath = manifestPathFor(filePath);
+  const manifest = buildManifest(filePath, rows, run);
+  return writeAtomically(manifestPath, (tempPath) => fs.promises.writeFile(tempPath, `${JSON.stringify(manifest, null, 2)}\n`));
+}
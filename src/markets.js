@@ -0,0 +1,84 @@
+import { CONFIG } from './config.js';
+
+/**
+ * Market areas published on the EPEX SPOT market results page
+ */
+export const MARKET_AREAS = [
+  'GB',
+  'DE-LU',
+  'FR',
+  'NL',
+  'BE',
+  'AT',
+  'CH',
+  'DK1',
+  'DK2',
+  'FI',
+  'NO1',
+  'NO2',
+  'NO3',
+  'NO4',
+  'NO5',
+  'SE1',
+  'SE2',
+  'SE3',
+  'SE4'
+];
+
+/**
+ * Price unit per market area; areas not listed trade in euros
+ */
+const PRICE_UNITS = {
+  GB: '£/MWh'
+};
+
+/**
+ * Gets the unit prices are quoted in for a market area
+ * @param {string} [marketArea] - Market area code (defaults to CONFIG.MARKET_AREA)
+ * @returns {string} Price unit, e.g. "€/MWh"
+ */
+export function priceUnitFor(marketArea = CONFIG.MARKET_AREA) {
+  return PRICE_UNITS[marketArea] || '€/MWh';
+}
+
+/**
+ * Time zone delivery days are defined in: UK time for GB, CET/CEST for
+ * every continental and Nordic area
+ */
+const TIME_ZONES = {
+  GB: 'Europe/London'
+};
+
+/**
+ * Gets the time zone delivery periods of a market area are quoted in
+ * @param {string} [marketArea] - Market area code (defaults to CONFIG.MARKET_AREA)
+ * @returns {string} IANA time zone name
+ */
+export function timeZoneFor(marketArea = CONFIG.MARKET_AREA) {
+  return TIME_ZONES[marketArea] || 'Europe/Berlin';
+}
+
+/**
+ * Resolves the market areas requested by a set of scrape options.
+ * Accepts a single code, a comma-separated string or an array; codes are
+ * matched case-insensitively and de-duplicated.
+ * @param {Object} [options] - Scrape options
+ * @param {string|string[]} [options.marketArea] - Market area code(s), defaults to CONFIG.MARKET_AREA
+ * @returns {string[]} Market area codes in the requested order
+ */
+export function resolveMarketAreas(options = {}) {
+  const requested = options.marketArea || CONFIG.MARKET_AREA;
+  const codes = (Array.isArray(requested) ? requested : String(requested).split(','))
+    .map((code) => code.trim().toUpperCase())
+    .filter(Boolean);
+
+  const unknown = codes.filter((code) => !MARKET_AREAS.includes(code));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown market area(s): ${unknown.join(', ')} (expected one of: ${MARKET_AREAS.join(', ')})`);
+  }
+  if (codes.length === 0) {
+    throw new Error('At least one market area is required');
+  }
+
+  return [...new Set(codes)];
+}
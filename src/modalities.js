@@ -0,0 +1,103 @@
+import { CONFIG } from './config.js';
+
+/**
+ * Trading modalities published on the EPEX SPOT market results page
+ */
+export const MARKETS = {
+  DAY_AHEAD: 'day-ahead',
+  INTRADAY_AUCTION: 'intraday-auction',
+  INTRADAY_CONTINUOUS: 'intraday-continuous'
+};
+
+/**
+ * Table schema of an auction: one clearing price per period plus the
+ * buy, sell and traded volumes
+ */
+const AUCTION_SCHEMA = {
+  fields: ['Period', 'Buy Volume', 'Sell Volume', 'Volume', 'Price'],
+  requiredColumns: ['Period', 'Price'],
+  priceFields: ['Price'],
+  volumeFields: ['Buy Volume', 'Sell Volume', 'Volume']
+};
+
+/**
+ * Per modality: a display label, the query parameters selecting it on the
+ * results page, the columns of its results table and when its results are
+ * published: a cron expression in a time zone, and the delivery date it
+ * publishes relative to the publication day (1 for the next day)
+ */
+const MARKET_SCHEMAS = {
+  [MARKETS.DAY_AHEAD]: {
+    label: 'Day-Ahead Auction',
+    urlParams: { modality: 'Auction', sub_modality: 'DayAhead' },
+    // Results around 12:45 CET for the next day
+    publication: { cron: '45 12 * * *', timeZone: 'Europe/Berlin', deliveryOffset: 1 },
+    ...AUCTION_SCHEMA
+  },
+  [MARKETS.INTRADAY_AUCTION]: {
+    label: 'Intraday Auction',
+    urlParams: { modality: 'Auction', sub_modality: 'Intraday', auction: 'IDA1' },
+    // IDA1 closes at 15:00 CET, results follow for the next day
+    publication: { cron: '30 15 * * *', timeZone: 'Europe/Berlin', deliveryOffset: 1 },
+    ...AUCTION_SCHEMA
+  },
+  [MARKETS.INTRADAY_CONTINUOUS]: {
+    label: 'Intraday Continuous',
+    urlParams: { modality: 'Continuous' },
+    // Complete once the delivery day is over, in every market area
+    publication: { cron: '30 1 * * *', timeZone: 'Europe/Berlin', deliveryOffset: -1 },
+    fields: ['Period', 'Product', 'Low', 'High', 'Last', 'Weight Avg', 'Volume'],
+    requiredColumns: ['Period', 'Low', 'High', 'Last', 'Weight Avg'],
+    priceFields: ['Low', 'High', 'Last', 'Weight Avg'],
+    volumeFields: ['Volume']
+  }
+};
+
+/**
+ * Lists the supported market modalities
+ * @returns {string[]} Market identifiers, e.g. "day-ahead"
+ */
+export function listMarkets() {
+  return Object.keys(MARKET_SCHEMAS);
+}
+
+/**
+ * Resolves the market modality requested by a set of scrape options
+ * @param {Object} [options] - Scrape options
+ * @param {string} [options.market] - Market identifier, see MARKETS (defaults to CONFIG.MARKET)
+ * @param {string} [options.modality] - Alias of options.market
+ * @returns {string} Market identifier
+ * @throws {Error} When the market is not supported
+ */
+export function resolveMarket(options = {}) {
+  const market = String(options.market || options.modality || CONFIG.MARKET).trim().toLowerCase();
+  if (!MARKET_SCHEMAS[market]) {
+    throw new Error(`Unknown market "${market}" (expected one of: ${listMarkets().join(', ')})`);
+  }
+  return market;
+}
+
+/**
+ * Gets the schema of a market modality
+ * @param {string} [market] - Market identifier (defaults to CONFIG.MARKET)
+ * @returns {{label: string, urlParams: Object<string, string>, fields: string[], requiredColumns: string[],
+ *   priceFields: string[], volumeFields: string[], publication: {cron: string, timeZone: string, deliveryOffset: number}}}
+ *   Market schema
+ * @throws {Error} When the market is not supported
+ */
+export function getMarketSchema(market) {
+  return MARKET_SCHEMAS[resolveMarket({ market })];
+}
+
+/**
+ * Gets the columns written for rows of the given markets: the fields of
+ * each market's table, with the UTC period bounds after Period, followed
+ * by the units, without duplicates
+ * @param {string[]} [markets] - Market identifiers (defaults to CONFIG.MARKET)
+ * @returns {string[]} Row fields in output order
+ */
+export function marketColumns(markets = [CONFIG.MARKET]) {
+  const fields = markets.flatMap((market) => getMarketSchema(market).fields)
+    .flatMap((field) => (field === 'Period' ? [field, 'Period Start', 'Period End'] : [field]));
+  return [...new Set([...fields, 'Price Unit', 'Volume Unit'])];
+}
@@ -0,0 +1,80 @@
+import { CONFIG } from './config.js';
+import { assertNotBlocked } from './blocking.js';
+import { RateLimitedError, ServerError } from './errors.js';
+import { parseRetryAfter } from './retry.js';
+
+/**
+ * Navigates to the market results page, falling back to a simpler wait
+ * strategy when the page never reaches network idle
+ * @param {Page} page - Playwright page object
+ * @param {string} url - Market results URL
+ * @param {Object} [options] - Navigation options
+ * @param {number} [options.navigationTimeout] - Maximum navigation time (ms)
+ * @returns {Promise<Response|null>} The main resource response
+ * @throws {BlockedError} When access is denied or bot protection shows a challenge, see detectBlock
+ * @throws {RateLimitedError} When the website answers 429 Too Many Requests
+ * @throws {ServerError} When the website answers with a 5xx status
+ */
+export async function openMarketResults(page, url, options = {}) {
+  const timeout = options.navigationTimeout ?? CONFIG.NAVIGATION_TIMEOUT;
+  let response;
+
+  try {
+    response = await page.goto(url, { waitUntil: 'networkidle', timeout });
+  } catch (error) {
+    console.log('   Retrying with simpler wait...');
+    response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+  }
+
+  // Challenge pages are often served as 429 or 503, so they are recognised first
+  await assertNotBlocked(page, response);
+
+  const status = response ? response.status() : null;
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(await response.headerValue('retry-after'));
+    throw new RateLimitedError(
+      `Rate limited (429 Too Many Requests)${retryAfter === null ? '' : `, retry after ${Math.ceil(retryAfter / 1000)}s`}`,
+      retryAfter
+    );
+  }
+  if (status >= 500) {
+    throw new ServerError(`Server error (${status} ${response.statusText()})`, status);
+  }
+
+  return response;
+}
+
+/**
+ * Accepts the cookie consent banner, if one appears, so it cannot cover the
+ * results table or hold back the data requests waiting for consent
+ * @param {Page} page - Playwright page object
+ * @param {Object} [options] - Consent options
+ * @param {string[]} [options.cookieConsentSelectors] - Accept buttons, tried in order
+ *   (defaults to CONFIG.COOKIE_CONSENT_SELECTORS)
+ * @param {number} [options.cookieConsentTimeout] - Maximum wait for a banner to appear (ms)
+ * @returns {Promise<string|null>} Selector of the button clicked, or null when no banner appeared
+ */
+export async function dismissCookieBanner(page, options = {}) {
+  const selectors = options.cookieConsentSelectors || CONFIG.COOKIE_CONSENT_SELECTORS;
+  const timeout = options.cookieConsentTimeout ?? CONFIG.COOKIE_CONSENT_TIMEOUT;
+
+  try {
+    await page.locator(selectors.join(', ')).filter({ visible: true }).first().waitFor({ state: 'visible', timeout });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      return null;
+    }
+    throw error;
+  }
+
+  for (const selector of selectors) {
+    const candidate = page.locator(selector).filter({ visible: true }).first();
+    if (await candidate.count() > 0) {
+      await candidate.click();
+      await candidate.waitFor({ state: 'hidden', timeout }).catch(() => {});
+      console.log(`   ✓ Cookie banner dismissed (${selector})`);
+      return selector;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,218 @@
+import path from 'path';
+import { marketColumns } from './modalities.js';
+import { writeManifest } from './manifest.js';
+import { DEFAULT_COLUMNS } from './writers/common.js';
+import { defaultOutputFile, getWriter } from './writers/index.js';
+
+/**
+ * How rows spanning several delivery dates are written
+ */
+export const OUTPUT_MODES = {
+  COMBINED: 'combined', // One file with Market Area and Delivery Date columns
+  PER_DAY: 'per-day'    // One file per market area and delivery date
+};
+
+/**
+ * Tokens recognised in output file name templates, e.g.
+ * "market_data_{marketArea}_{deliveryDate}_{runTimestamp}.{format}"
+ */
+export const FILE_NAME_TOKENS = ['marketArea', 'deliveryDate', 'market', 'runTimestamp', 'format'];
+
+const TOKEN_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Formats a run timestamp for use in file names
+ * @param {Date} [date] - Run start (defaults to now)
+ * @returns {string} Compact UTC timestamp, e.g. 20260127T081500Z
+ */
+export function formatRunTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Checks whether a file name contains template tokens
+ * @param {string} fileName - File name or template
+ * @returns {boolean} True for templates
+ */
+export function isFileNameTemplate(fileName) {
+  return /\{\w+\}/.test(fileName);
+}
+
+/**
+ * Fills in the tokens of a file name template
+ * @param {string} template - Template, see FILE_NAME_TOKENS
+ * @param {Object} values - Token values
+ * @param {string} [values.marketArea] - Market area code(s)
+ * @param {string} [values.deliveryDate] - Delivery date or date range
+ * @param {string} [values.market] - Market modality, e.g. day-ahead
+ * @param {string} [values.runTimestamp] - Run timestamp, see formatRunTimestamp
+ * @param {string} [values.format] - Output format, e.g. csv
+ * @returns {string} File name
+ * @throws {Error} When the template uses an unknown token
+ */
+export function renderFileName(template, values) {
+  return template.replace(TOKEN_PATTERN, (match, token) => {
+    if (!FILE_NAME_TOKENS.includes(token)) {
+      throw new Error(`Unknown file name token ${match} (expected one of: ${FILE_NAME_TOKENS.map((name) => `{${name}}`).join(', ')})`);
+    }
+    return values[token] ?? '';
+  });
+}
+
+/**
+ * Lists the distinct values of a row field in first-seen order
+ * @param {Array} rows - Market data rows
+ * @param {string} field - Row field
+ * @returns {string[]} Distinct non-empty values
+ */
+function distinctValues(rows, field) {
+  return [...new Set(rows.map((row) => row[field]).filter(Boolean))];
+}
+
+/**
+ * Summarises the market areas, delivery dates and markets of a set of rows
+ * for file name tokens: "GB+FR" and "2026-01-20_2026-01-26" style values
+ * @param {Array} rows - Market data rows
+ * @returns {{marketArea: string, deliveryDate: string, market: string}} Token values
+ */
+function describeRows(rows) {
+  const dates = distinctValues(rows, 'Delivery Date').sort();
+  return {
+    marketArea: distinctValues(rows, 'Market Area').join('+'),
+    deliveryDate: dates.length > 1 ? `${dates[0]}_${dates.at(-1)}` : dates[0] || '',
+    market: distinctValues(rows, 'Market').join('+')
+  };
+}
+
+/**
+ * Gets the row fields written for a set of rows: the columns of the markets
+ * the rows came from, or DEFAULT_COLUMNS for rows without a Market label
+ * @param {Array} rows - Market data rows
+ * @returns {string[]} Row fields in output order
+ */
+export function outputColumns(rows) {
+  const markets = distinctValues(rows, 'Market');
+  return markets.length > 0 ? marketColumns(markets) : DEFAULT_COLUMNS;
+}
+
+/**
+ * Resolves the file name for a set of rows written to one file: templates
+ * are rendered, plain names are used as they are
+ * @param {string} fileName - File name or template
+ * @param {Array} rows - Rows going into the file
+ * @param {Object} [context] - Run context
+ * @param {string} [context.runTimestamp] - Run timestamp (defaults to now)
+ * @param {string} [context.format] - Output format (defaults to csv)
+ * @returns {string} File name
+ */
+export function resolveFileName(fileName, rows, context = {}) {
+  if (!isFileNameTemplate(fileName)) {
+    return fileName;
+  }
+  return renderFileName(fileName, {
+    ...describeRows(rows),
+    runTimestamp: context.runTimestamp || formatRunTimestamp(),
+    format: context.format || 'csv'
+  });
+}
+
+/**
+ * Builds the file name for one market area and delivery date
+ * @param {string} fileName - Base file name or template, e.g. market_data.csv
+ * @param {Object} key - Row group
+ * @param {string} key.marketArea - Market area code
+ * @param {string} key.deliveryDate - Delivery date (YYYY-MM-DD)
+ * @param {string} [key.market] - Market modality
+ * @param {Object} [context] - Run context for templates (runTimestamp, format)
+ * @returns {string} Rendered template, or the file name with area and date before the
+ *   extension, e.g. market_data_GB_2026-01-26.csv
+ */
+export function outputFileName(fileName, { marketArea, deliveryDate, market }, context = {}) {
+  if (isFileNameTemplate(fileName)) {
+    return renderFileName(fileName, {
+      marketArea,
+      deliveryDate,
+      market,
+      runTimestamp: context.runTimestamp || formatRunTimestamp(),
+      format: context.format || 'csv'
+    });
+  }
+
+  const { name, ext } = path.parse(fileName);
+  return `${name}_${marketArea}_${deliveryDate}${ext}`;
+}
+
+/**
+ * Groups rows by market area and delivery date, keeping first-seen order
+ * @param {Array} rows - Market data rows
+ * @returns {Map<string, {marketArea: string, deliveryDate: string, market: string, rows: Array}>} Row groups
+ */
+function groupByAreaAndDate(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = `${row['Market Area']}|${row['Delivery Date']}`;
+    if (!groups.has(key)) {
+      groups.set(key, { marketArea: row['Market Area'], deliveryDate: row['Delivery Date'], market: row.Market, rows: [] });
+    }
+    groups.get(key).rows.push(row);
+  }
+  return groups;
+}
+
+/**
+ * Writes scraped rows either as one combined file or as one file per market area and delivery date.
+ * Partitioned formats (Parquet) always write one dataset.
+ * @param {Array} rows - Market data rows carrying Market Area and Delivery Date fields
+ * @param {Object} [options] - Output options
+ * @param {string} [options.mode] - One of OUTPUT_MODES (defaults to combined)
+ * @param {string} [options.outputDir] - Output directory (defaults to CONFIG.OUTPUT_DIR)
+ * @param {string} [options.outputFile] - File name or template, see FILE_NAME_TOKENS
+ *   (defaults to CONFIG.OUTPUT_FILE with the format's extension)
+ * @param {string} [options.format] - Output format, see listFormats (defaults to csv)
+ * @param {string} [options.runTimestamp] - Run timestamp for templates (defaults to now)
+ * @param {boolean} [options.noClobber] - Never replace an existing file; a numbered name is used instead
+ * @param {Object} [options.metadata] - Run metadata for formats that store it (JSON)
+ * @param {import('./manifest.js').RunProvenance} [options.manifest] - Run provenance; a manifest is written
+ *   next to every file, see writeManifest
+ * @returns {Promise<string[]>} Paths of the created files
+ */
+export async function writeMarketResults(rows, options = {}) {
+  const mode = options.mode || OUTPUT_MODES.COMBINED;
+  const outputFile = options.outputFile || defaultOutputFile(options.format);
+  const writer = getWriter(options.format);
+  const context = {
+    runTimestamp: options.runTimestamp || formatRunTimestamp(),
+    format: (options.format || 'csv').toLowerCase()
+  };
+
+  // Partitioned formats split by market area and delivery date on their own
+  if (mode === OUTPUT_MODES.COMBINED || writer.partitioned) {
+    const filePath = await writer.write(rows, {
+      ...options,
+      outputFile: resolveFileName(outputFile, rows, context),
+      columns: ['Market Area', 'Delivery Date', 'Market', ...outputColumns(rows)]
+    });
+    if (options.manifest) {
+      await writeManifest(filePath, rows, options.manifest);
+    }
+    return [filePath];
+  }
+
+  if (mode !== OUTPUT_MODES.PER_DAY) {
+    throw new Error(`Unknown output mode "${mode}" (expected one of: ${Object.values(OUTPUT_MODES).join(', ')})`);
+  }
+
+  const filePaths = [];
+  for (const group of groupByAreaAndDate(rows).values()) {
+    const filePath = await writer.write(group.rows, {
+      ...options,
+      outputFile: outputFileName(outputFile, group, context),
+      columns: outputColumns(group.rows)
+    });
+    if (options.manifest) {
+      await writeManifest(filePath, group.rows, options.manifest);
+    }
+    filePaths.push(filePath);
+  }
+  return filePaths;
+}
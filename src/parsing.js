@@ -0,0 +1,144 @@
+import { ParseError } from './errors.js';
+import { priceUnitFor } from './markets.js';
+import { getMarketSchema, resolveMarket } from './modalities.js';
+
+/**
+ * Row fields holding prices in continuous intraday results; auction
+ * results have a single Price field, see getMarketSchema
+ */
+export const PRICE_FIELDS = ['Low', 'High', 'Last', 'Weight Avg'];
+
+/**
+ * Unit of the Volume field
+ */
+export const VOLUME_UNIT = 'MWh';
+
+/**
+ * Cell texts meaning "no value published"
+ */
+const PLACEHOLDERS = new Set(['', '-', '--', '\u2013', '\u2014', 'n/a', 'na', 'n.a.', 'null']);
+
+/**
+ * A market data row with numeric prices and volume
+ * @typedef {Object} MarketResultRow
+ * @property {string} [Market Area] - Market area code
+ * @property {string} [Delivery Date] - Delivery date (YYYY-MM-DD)
+ * @property {string} Period - Delivery period label
+ * @property {string} Product - Product label
+ * @property {number|null} Low - The lowest price, null when not published
+ * @property {number|null} High - The highest price, null when not published
+ * @property {number|null} Last - The last price, null when not published
+ * @property {number|null} 'Weight Avg' - The weighted average price, null when not published
+ * @property {number|null} Volume - Traded volume, null when not published
+ * @property {number|null} [Buy Volume] - Auction buy volume
+ * @property {number|null} [Sell Volume] - Auction sell volume
+ * @property {number|null} [Price] - Auction clearing price
+ * @property {string} 'Price Unit' - Unit of the price fields, e.g. "€/MWh"
+ * @property {string} 'Volume Unit' - Unit of the Volume field ("MWh")
+ */
+
+/**
+ * Strips whitespace, currency symbols and units from a numeric cell
+ * @param {string} text - Cell text
+ * @returns {string} Remaining digits, separators and sign
+ */
+function stripNumber(text) {
+  return String(text)
+    .replace(/[\s']/g, '')
+    .replace(/[€£]|eur|gbp|\/?mwh/gi, '')
+    .replace(/[\u2212\u2013]/g, '-');
+}
+
+/**
+ * Works out which decimal separator a set of cell texts uses.
+ * A value such as "1,250" is ambiguous and does not decide on its own;
+ * when nothing decides, "." is assumed.
+ * @param {string[]} values - Numeric cell texts
+ * @returns {'.'|','} The decimal separator
+ */
+export function detectDecimalSeparator(values) {
+  for (const value of values) {
+    const cleaned = stripNumber(value ?? '');
+    const lastDot = cleaned.lastIndexOf('.');
+    const lastComma = cleaned.lastIndexOf(',');
+
+    // Both present: whichever comes last is the decimal separator
+    if (lastDot !== -1 && lastComma !== -1) {
+      return lastDot > lastComma ? '.' : ',';
+    }
+
+    const separator = lastDot !== -1 ? '.' : lastComma !== -1 ? ',' : null;
+    if (!separator) {
+      continue;
+    }
+
+    // A repeated separator can only group thousands
+    if (cleaned.indexOf(separator) !== cleaned.lastIndexOf(separator)) {
+      return separator === '.' ? ',' : '.';
+    }
+
+    // Anything but exactly three trailing digits is a decimal part
+    if (cleaned.length - cleaned.lastIndexOf(separator) - 1 !== 3) {
+      return separator;
+    }
+  }
+  return '.';
+}
+
+/**
+ * Parses a numeric cell in either decimal convention
+ * @param {string} text - Cell text, e.g. "1,250.30", "1.250,30", "-" or "n/a"
+ * @param {'.'|','} [decimalSeparator] - Decimal separator, detected from the value when omitted
+ * @returns {number|null} Parsed number, or null for placeholders
+ * @throws {ParseError} When the text is not a number
+ */
+export function parseNumber(text, decimalSeparator) {
+  if (text === null || text === undefined || PLACEHOLDERS.has(String(text).trim().toLowerCase())) {
+    return null;
+  }
+
+  const separator = decimalSeparator || detectDecimalSeparator([text]);
+  const thousands = separator === '.' ? ',' : '.';
+  const normalised = stripNumber(text).split(thousands).join('').replace(separator, '.');
+
+  if (!/^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(normalised)) {
+    throw new ParseError(`Cannot parse "${text}" as a number`);
+  }
+  return Number(normalised);
+}
+
+/**
+ * Converts scraped rows to typed rows: the market's price and volume fields become numbers
+ * (placeholders become null) and every row records its units.
+ * The decimal convention is detected once for the whole table so that
+ * ambiguous values such as "1,250" are read consistently.
+ * @param {import('./scraper.js').MarketDataRow[]} rows - Rows from scrapeMarketData
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.marketArea] - Market area, selects the price currency
+ * @param {string} [options.market] - Market modality, selects the numeric fields (defaults to CONFIG.MARKET)
+ * @param {'.'|','} [options.decimalSeparator] - Force a decimal separator instead of detecting it
+ * @param {string} [options.priceUnit] - Override the price unit, e.g. "€/MWh"
+ * @returns {MarketResultRow[]} Typed rows
+ * @throws {ParseError} When a price or volume is not a number
+ */
+export function parseMarketRows(rows, options = {}) {
+  const { priceFields, volumeFields } = getMarketSchema(resolveMarket(options));
+  const fields = [...priceFields, ...volumeFields];
+  const decimalSeparator = options.decimalSeparator
+    || detectDecimalSeparator(rows.flatMap((row) => fields.map((field) => row[field])));
+  const priceUnit = options.priceUnit || priceUnitFor(options.marketArea);
+
+  return rows.map((row) => {
+    const parsed = { ...row };
+    for (const field of fields) {
+      try {
+        parsed[field] = parseNumber(row[field], decimalSeparator);
+      } catch (error) {
+        throw new ParseError(`${error.message} in ${field} of period ${row.Period}`);
+      }
+    }
+    parsed['Price Unit'] = priceUnit;
+    parsed['Volume Unit'] = VOLUME_UNIT;
+    return parsed;
+  });
+}
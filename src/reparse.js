@@ -0,0 +1,228 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { listArchivedPages } from './archive.js';
+import { CONFIG } from './config.js';
+import { EXIT_CODES, UsageError, exitCodeFor } from './cli.js';
+import { isValidDate } from './dates.js';
+import { ParseError } from './errors.js';
+import { GRANULARITIES, resolveGranularity } from './granularity.js';
+import { buildDayRows } from './index.js';
+import { resolveMarketAreas } from './markets.js';
+import { listMarkets, resolveMarket } from './modalities.js';
+import { formatRunTimestamp, renderFileName, writeMarketResults, OUTPUT_MODES } from './output.js';
+import { SNAPSHOT_EXTENSIONS, listSnapshots, parseMarketResultsHtml, snapshotContext } from './snapshot.js';
+import { defaultOutputFile, listFormats } from './writers/index.js';
+
+const USAGE = `Usage: epex-reparse <directory | run index> [options]
+
+Parses saved market results pages (${SNAPSHOT_EXTENSIONS.join(', ')}) without a browser and writes
+their rows like epex-scrape. The market area, delivery date and market of each page are
+read from its file name (e.g. GB_2026-01-26.html or day-ahead_DE-LU_2026-01-26.html)
+unless given below. Given the index of an archived run (<archive>/runs/<runId>.json, see
+epex-scrape --archive), the pages of that run are parsed with the values recorded for each.
+
+Options:
+  -m, --market-area <code>  Market area of every snapshot (default: from the file name,
+                            else ${CONFIG.MARKET_AREA})
+  -d, --date <YYYY-MM-DD>   Delivery date of every snapshot (default: from the file name)
+      --market <market>     Market modality: ${listMarkets().join(', ')}
+                            (default: from the file name, else ${CONFIG.MARKET})
+      --granularity <g>     Product granularity: auto, ${Object.keys(GRANULARITIES).join(', ')} (default: auto)
+      --hourly              Aggregate quarter-hour and half-hour rows up to hourly rows
+  -o, --output <path>       Output file (default: ${CONFIG.OUTPUT_DIR}/${CONFIG.OUTPUT_FILE}, with the
+                            extension of the chosen format); may be a file name template
+      --no-clobber          Never replace an existing output file; write to name-1.ext etc.
+      --combined            Write all snapshots to one file instead of one file per area and day
+  -f, --format <format>     Output format: ${listFormats().join(', ')} (default: csv)
+  -h, --help                Show this help
+
+Exit codes:
+  0 every snapshot parsed, 1 unexpected failure, 2 invalid arguments,
+  3 a snapshot is a bot protection page, 4 a snapshot has no data rows or none was found,
+  5 a snapshot could not be parsed`;
+
+/**
+ * Parses epex-reparse command-line arguments
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {Object} Normalised run options
+ * @throws {UsageError} When the arguments are invalid
+ */
+export function parseReparseArgs(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'market-area': { type: 'string', short: 'm' },
+        date: { type: 'string', short: 'd' },
+        market: { type: 'string' },
+        granularity: { type: 'string' },
+        hourly: { type: 'boolean' },
+        output: { type: 'string', short: 'o' },
+        format: { type: 'string', short: 'f' },
+        combined: { type: 'boolean' },
+        'no-clobber': { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (values.help) {
+    return { help: true };
+  }
+  if (positionals.length !== 1) {
+    throw new UsageError('Expected exactly one snapshot directory or run index');
+  }
+  const isRunIndex = path.extname(positionals[0]).toLowerCase() === '.json';
+
+  const overrides = {};
+  try {
+    if (values['market-area']) {
+      [overrides.marketArea] = resolveMarketAreas({ marketArea: values['market-area'] });
+    }
+    if (values.market) {
+      overrides.market = resolveMarket({ market: values.market });
+    }
+    resolveGranularity([], { granularity: values.granularity });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (values.date) {
+    if (!isValidDate(values.date)) {
+      throw new UsageError(`--date must be a valid date in YYYY-MM-DD format, got "${values.date}"`);
+    }
+    overrides.deliveryDate = values.date;
+  }
+
+  const format = (values.format || 'csv').toLowerCase();
+  if (!listFormats().includes(format)) {
+    throw new UsageError(`Unsupported format "${values.format}" (expected one of: ${listFormats().join(', ')})`);
+  }
+
+  const output = values.output || path.join(CONFIG.OUTPUT_DIR, defaultOutputFile(format));
+  try {
+    renderFileName(path.basename(output), {});
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  return {
+    help: false,
+    directory: isRunIndex ? null : positionals[0],
+    runIndex: isRunIndex ? positionals[0] : null,
+    overrides,
+    granularity: (values.granularity || 'auto').toLowerCase(),
+    hourly: Boolean(values.hourly),
+    output,
+    format,
+    outputMode: values.combined ? OUTPUT_MODES.COMBINED : OUTPUT_MODES.PER_DAY,
+    noClobber: Boolean(values['no-clobber'])
+  };
+}
+
+/**
+ * Lists the snapshots to re-parse: the saved pages of a directory, or the
+ * archived pages of a run index
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<Array<{label: string, filePath: string|null, context: Object}>>} Per snapshot: a label
+ *   for the log, its path and the market area, delivery date and market known for it
+ */
+export async function listReparseSources(options) {
+  if (options.runIndex) {
+    return listArchivedPages(options.runIndex);
+  }
+  const snapshots = await listSnapshots(options.directory);
+  return snapshots.map((filePath) => ({ label: path.basename(filePath), filePath, context: snapshotContext(filePath) }));
+}
+
+/**
+ * Parses one saved results page into the rows of its day
+ * @param {string|null} filePath - Snapshot path (null when the archive holds no HTML of the page)
+ * @param {Object} options - Parsed command-line options
+ * @param {Object} [pageContext] - Market area, delivery date and market of the page (defaults to those in its file name)
+ * @returns {Promise<Array>} Typed rows tagged with Market Area, Delivery Date and Market
+ * @throws {ParseError} When the HTML or the delivery date is missing or the page cannot be parsed
+ */
+export async function reparseSnapshot(filePath, options, pageContext) {
+  if (!filePath) {
+    throw new ParseError('The page HTML was not archived');
+  }
+  const context = { marketArea: CONFIG.MARKET_AREA, ...(pageContext || snapshotContext(filePath)), ...options.overrides };
+  if (!context.deliveryDate) {
+    throw new ParseError('No delivery date in the file name (e.g. GB_2026-01-26.html) or run index; pass --date');
+  }
+
+  const html = await fs.promises.readFile(filePath, 'utf-8');
+  return buildDayRows(parseMarketResultsHtml(html, context), {
+    ...context,
+    granularity: options.granularity,
+    hourly: options.hourly
+  });
+}
+
+/**
+ * Runs the epex-reparse command
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {Promise<number>} Process exit code
+ */
+export async function main(argv) {
+  try {
+    const options = parseReparseArgs(argv);
+    if (options.help) {
+      console.log(USAGE);
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const source = options.runIndex || options.directory;
+    const snapshots = await listReparseSources(options);
+    if (snapshots.length === 0) {
+      console.warn(`⚠ No snapshots (${SNAPSHOT_EXTENSIONS.join(', ')}) found in ${source}`);
+      return EXIT_CODES.EMPTY;
+    }
+
+    console.log(`📍 Re-parsing ${snapshots.length} snapshots in ${source}`);
+    const rows = [];
+    const failures = [];
+    for (const { label, filePath, context } of snapshots) {
+      try {
+        const dayRows = await reparseSnapshot(filePath, options, context);
+        const [first = {}] = dayRows;
+        console.log(`   ✓ ${label}: ${dayRows.length} rows (${first['Market Area']} ${first['Delivery Date']} ${first.Market})`);
+        rows.push(...dayRows);
+      } catch (error) {
+        console.error(`   ❌ ${label}: ${error.message}`);
+        failures.push(error);
+      }
+    }
+
+    if (rows.length > 0) {
+      await writeMarketResults(rows, {
+        outputDir: path.dirname(options.output),
+        outputFile: path.basename(options.output),
+        format: options.format,
+        mode: options.outputMode,
+        runTimestamp: formatRunTimestamp(),
+        noClobber: options.noClobber,
+        metadata: {
+          ...(options.runIndex ? { runIndex: options.runIndex } : { snapshotDirectory: options.directory }),
+          snapshots: snapshots.length - failures.length
+        }
+      });
+    }
+
+    console.log(`   ✓ ${snapshots.length - failures.length} of ${snapshots.length} snapshots parsed, ${rows.length} rows`);
+    return failures.length > 0 ? exitCodeFor(failures[0]) : EXIT_CODES.SUCCESS;
+
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    if (error instanceof UsageError) {
+      console.error(`\n${USAGE}`);
+    }
+    return exitCodeFor(error);
+  }
+}
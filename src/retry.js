@@ -0,0 +1,174 @@
+import { CONFIG } from './config.js';
+import {
+  BlockedError, EmptyResultError, IncompleteResultError, MissingColumnError, ParseError, RateLimitedError, ServerError
+} from './errors.js';
+
+/**
+ * Classes of failure a scrape attempt can end in
+ */
+export const FAILURE_CLASSES = {
+  BLOCKED: 'blocked',               // 403 / bot protection
+  RATE_LIMITED: 'rate-limited',     // 429 Too Many Requests
+  SERVER_ERROR: 'server-error',     // 5xx responses
+  TIMEOUT: 'timeout',               // Navigation or wait timed out
+  EMPTY: 'empty',                   // Table without complete rows
+  INCOMPLETE: 'incomplete',         // Day lacks periods (requireComplete)
+  PARSE: 'parse',                   // No results table on the page
+  MISSING_COLUMN: 'missing-column', // Header lacks a required column
+  OTHER: 'other'
+};
+
+/**
+ * Settings of a retry policy, see resolveRetryPolicy
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxAttempts - Attempts before giving up, the first one included
+ * @property {number} baseDelay - Wait before the first retry (ms); doubled (see factor) per retry
+ * @property {number} maxDelay - Longest wait between attempts (ms)
+ * @property {number} factor - Growth of the wait per retry
+ * @property {number} jitter - Share of each wait (0-1) that is randomised, so parallel pages do not retry in step
+ * @property {number} timeBudget - Longest total time for all attempts and waits (ms)
+ * @property {string[]} retryOn - Failure classes that are retried, see FAILURE_CLASSES
+ */
+
+/**
+ * What a retried operation ended in
+ * @typedef {Object} RetryOutcome
+ * @property {'succeeded'|'failed'} status - Whether the operation eventually succeeded
+ * @property {string|null} failureClass - Class of the failure that ended the run, null on success
+ * @property {'not-retryable'|'attempts-exhausted'|'budget-exhausted'|null} reason - Why retrying stopped, null on success
+ * @property {number} attempts - Attempts made
+ * @property {number} elapsed - Total time spent (ms)
+ * @property {Array<{attempt: number, failureClass: string, message: string, delay: number|null}>} failures
+ *   Every failed attempt with the wait that followed it (null when none followed)
+ */
+
+/**
+ * Builds the retry policy of a set of scrape options
+ * @param {Object} [options] - Scrape options
+ * @param {number} [options.retryAttempts] - Attempts (defaults to CONFIG.RETRY_ATTEMPTS)
+ * @param {number} [options.retryDelay] - First wait (defaults to CONFIG.RETRY_DELAY)
+ * @param {number} [options.retryMaxDelay] - Longest wait (defaults to CONFIG.RETRY_MAX_DELAY)
+ * @param {number} [options.retryFactor] - Growth per retry (defaults to CONFIG.RETRY_BACKOFF_FACTOR)
+ * @param {number} [options.retryJitter] - Randomised share of each wait (defaults to CONFIG.RETRY_JITTER)
+ * @param {number} [options.retryBudget] - Total time budget (defaults to CONFIG.RETRY_BUDGET)
+ * @param {string[]} [options.retryOn] - Retried failure classes (defaults to CONFIG.RETRY_ON)
+ * @returns {RetryPolicy} Retry policy
+ */
+export function resolveRetryPolicy(options = {}) {
+  return {
+    maxAttempts: options.retryAttempts ?? CONFIG.RETRY_ATTEMPTS,
+    baseDelay: options.retryDelay ?? CONFIG.RETRY_DELAY,
+    maxDelay: options.retryMaxDelay ?? CONFIG.RETRY_MAX_DELAY,
+    factor: options.retryFactor ?? CONFIG.RETRY_BACKOFF_FACTOR,
+    jitter: options.retryJitter ?? CONFIG.RETRY_JITTER,
+    timeBudget: options.retryBudget ?? CONFIG.RETRY_BUDGET,
+    retryOn: options.retryOn ?? CONFIG.RETRY_ON
+  };
+}
+
+/**
+ * Maps an error to its failure class
+ * @param {Error} error - Error raised by an attempt
+ * @returns {string} One of FAILURE_CLASSES
+ */
+export function classifyFailure(error) {
+  if (error instanceof BlockedError) return FAILURE_CLASSES.BLOCKED;
+  if (error instanceof RateLimitedError) return FAILURE_CLASSES.RATE_LIMITED;
+  if (error instanceof ServerError) return FAILURE_CLASSES.SERVER_ERROR;
+  if (error?.name === 'TimeoutError') return FAILURE_CLASSES.TIMEOUT;
+  if (error instanceof EmptyResultError) return FAILURE_CLASSES.EMPTY;
+  if (error instanceof IncompleteResultError) return FAILURE_CLASSES.INCOMPLETE;
+  if (error instanceof MissingColumnError) return FAILURE_CLASSES.MISSING_COLUMN;
+  if (error instanceof ParseError) return FAILURE_CLASSES.PARSE;
+  return FAILURE_CLASSES.OTHER;
+}
+
+/**
+ * Parses a Retry-After header, given in seconds or as an HTTP date
+ * @param {string|null|undefined} value - Header value
+ * @param {number} [now] - Current time in milliseconds since the epoch
+ * @returns {number|null} Wait in milliseconds, or null when the header is missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) * 1000;
+  }
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Computes the wait before a retry: exponential backoff capped at
+ * maxDelay, of which the jitter share is randomised
+ * @param {number} retry - Retry number, 1 for the first retry
+ * @param {RetryPolicy} policy - Retry policy
+ * @param {function(): number} [random] - Source of random numbers in [0, 1)
+ * @returns {number} Wait in milliseconds
+ */
+export function backoffDelay(retry, policy, random = Math.random) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * policy.factor ** (retry - 1));
+  return Math.round(delay * (1 - policy.jitter * random()));
+}
+
+/**
+ * Runs an operation until it succeeds or the retry policy gives up.
+ * Failures whose class is not in policy.retryOn end the run at once;
+ * rate-limited attempts wait at least as long as their Retry-After header
+ * asks. No retry is started that would overrun the time budget.
+ * @param {function(number): Promise<*>} operation - Attempt, called with the attempt number
+ * @param {RetryPolicy} policy - Retry policy, see resolveRetryPolicy
+ * @param {Object} [hooks] - Overridable effects
+ * @param {function(number): Promise<void>} [hooks.sleep] - Waits the given milliseconds
+ * @param {function(): number} [hooks.now] - Current time in milliseconds
+ * @param {function(): number} [hooks.random] - Source of random numbers in [0, 1)
+ * @param {function(Object): void} [hooks.onRetry] - Called with {attempt, failureClass, error, delay} before each wait
+ * @returns {Promise<{value: *, outcome: RetryOutcome}>} The operation's result and the outcome
+ * @throws {Error} The error of the last attempt, with its RetryOutcome as error.outcome
+ */
+export async function runWithRetry(operation, policy, hooks = {}) {
+  const sleep = hooks.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+  const now = hooks.now || Date.now;
+  const random = hooks.random || Math.random;
+  const startedAt = now();
+  const failures = [];
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const value = await operation(attempt);
+      return {
+        value,
+        outcome: { status: 'succeeded', failureClass: null, reason: null, attempts: attempt, elapsed: now() - startedAt, failures }
+      };
+    } catch (error) {
+      const failureClass = classifyFailure(error);
+      const failure = { attempt, failureClass, message: error.message, delay: null };
+      failures.push(failure);
+
+      let reason = null;
+      let delay = 0;
+      if (!policy.retryOn.includes(failureClass)) {
+        reason = 'not-retryable';
+      } else if (attempt >= policy.maxAttempts) {
+        reason = 'attempts-exhausted';
+      } else {
+        delay = Math.max(backoffDelay(attempt, policy, random), error.retryAfter ?? 0);
+        if (now() - startedAt + delay > policy.timeBudget) {
+          reason = 'budget-exhausted';
+        }
+      }
+
+      if (reason) {
+        error.outcome = { status: 'failed', failureClass, reason, attempts: attempt, elapsed: now() - startedAt, failures };
+        throw error;
+      }
+
+      failure.delay = delay;
+      hooks.onRetry?.({ attempt, failureClass, error, delay });
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,511 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { CONFIG } from './config.js';
+import { EXIT_CODES, UsageError, exitCodeFor, main as runScrape, parseCliArgs } from './cli.js';
+import { nextCronTime, parseCron } from './cron.js';
+import { addDays } from './dates.js';
+import { resolveMarketAreas } from './markets.js';
+import { getMarketSchema, listMarkets, resolveMarket } from './modalities.js';
+import { zonedDate } from './time.js';
+import { writeAtomically } from './writers/common.js';
+
+const USAGE = `Usage: epex-schedule [config.json] [options]
+
+Runs epex-scrape on each market's publication timetable until stopped (Ctrl+C finishes the
+current run first). Each scheduled delivery day is polled again until its results are complete
+or the poll deadline passes. Job state is kept in a file, so a restarted scheduler resumes
+pending days and never scrapes a finished day twice.
+
+Jobs come from a JSON file {"jobs": [{"name", "market", "marketAreas", "cron", "timeZone",
+"deliveryOffset", "args"}]}, or from the options below for a single job. Unless set, cron,
+timeZone and deliveryOffset follow the market's publication time:
+${listMarkets().map((market) => {
+    const { cron, timeZone, deliveryOffset } = getMarketSchema(market).publication;
+    return `  ${market.padEnd(20)} "${cron}" ${timeZone}, delivery day ${deliveryOffset > 0 ? '+' : ''}${deliveryOffset}`;
+  }).join('\n')}
+
+Options:
+      --market <market>     Market of the single job (default: ${CONFIG.MARKET})
+  -m, --market-area <codes> Comma-separated market areas of the single job (default: ${CONFIG.MARKET_AREA})
+      --cron <expression>   When the single job runs (default: the market's publication time)
+      --time-zone <zone>    Time zone the cron expression is read in
+      --state <path>        Job state file (default: ${CONFIG.SCHEDULE_STATE_FILE})
+      --poll-interval <min> Minutes between polls for results not yet published
+                            (default: ${CONFIG.POLL_INTERVAL / 60000})
+      --poll-deadline <h>   Hours after the scheduled time at which polling gives up
+                            (default: ${CONFIG.POLL_DEADLINE / 3600000})
+      --once                Run what is due now and exit, e.g. from an external cron
+  -h, --help                Show this help
+
+Exit codes:
+  0 stopped, or with --once every due run succeeded, 2 invalid arguments or job file,
+  otherwise (with --once) the exit code of the first failed epex-scrape run`;
+
+/**
+ * Longest sleep between checks, so clock changes and stop requests are noticed
+ */
+const MAX_SLEEP = 60 * 1000;
+
+/**
+ * Days finished deliveries are kept in the job state
+ */
+const STATE_RETENTION_DAYS = 30;
+
+/**
+ * epex-scrape flags set by scrapeArgs, which job arguments may not repeat
+ */
+export const RESERVED_ARGS = ['--date', '-d', '--from', '--to', '--market', '--market-area', '-m'];
+
+/**
+ * A scheduled scrape, see resolveJobs
+ * @typedef {Object} ScheduleJob
+ * @property {string} name - Unique job name, the key of its state
+ * @property {string} market - Market modality
+ * @property {string[]} marketAreas - Market areas scraped together
+ * @property {string} cron - When the job runs, see parseCron
+ * @property {string} timeZone - Time zone the cron expression is read in
+ * @property {number} deliveryOffset - Delivery date relative to the local date of the run (1 for tomorrow)
+ * @property {string[]} args - Further epex-scrape arguments
+ * @property {number} pollInterval - Wait between polls (ms)
+ * @property {number} pollDeadline - Time after the scheduled run at which polling gives up (ms)
+ */
+
+/**
+ * State of one scheduled delivery day
+ * @typedef {Object} DeliveryState
+ * @property {'pending'|'done'|'failed'} status - Whether the day still has to be scraped
+ * @property {string} scheduledAt - Scheduled run time (ISO 8601)
+ * @property {string} deadline - Time after which polling gives up (ISO 8601)
+ * @property {string} nextAttemptAt - When the day is tried next (ISO 8601)
+ * @property {number} attempts - epex-scrape runs so far
+ * @property {number|null} lastExitCode - Exit code of the last run
+ * @property {string|null} lastAttemptAt - Start of the last run (ISO 8601)
+ * @property {string|null} finishedAt - When the day was done or given up (ISO 8601)
+ */
+
+/**
+ * Validates and completes the jobs of a schedule; unset timing follows
+ * the market's publication time (see getMarketSchema)
+ * @param {Object[]} jobs - Job definitions, see ScheduleJob
+ * @param {Object} [defaults] - Poll settings for jobs that set none
+ * @param {number} [defaults.pollInterval] - Wait between polls (defaults to CONFIG.POLL_INTERVAL)
+ * @param {number} [defaults.pollDeadline] - Polling time limit (defaults to CONFIG.POLL_DEADLINE)
+ * @returns {ScheduleJob[]} Complete jobs
+ * @throws {Error} When a job is invalid
+ */
+export function resolveJobs(jobs, defaults = {}) {
+  if (!Array.isArray(jobs) || jobs.length === 0) {
+    throw new Error('The schedule has no jobs');
+  }
+
+  const names = new Set();
+  return jobs.map((definition, index) => {
+    const market = resolveMarket(definition);
+    const name = definition.name || `${market}_${index + 1}`;
+    if (names.has(name)) {
+      throw new Error(`Duplicate job name "${name}"`);
+    }
+    names.add(name);
+
+    const publication = getMarketSchema(market).publication;
+    const job = {
+      name,
+      market,
+      marketAreas: resolveMarketAreas({ marketArea: definition.marketAreas || definition.marketArea }),
+      cron: definition.cron || publication.cron,
+      timeZone: definition.timeZone || publication.timeZone,
+      deliveryOffset: definition.deliveryOffset ?? publication.deliveryOffset,
+      args: definition.args || [],
+      pollInterval: definition.pollInterval ?? defaults.pollInterval ?? CONFIG.POLL_INTERVAL,
+      pollDeadline: definition.pollDeadline ?? defaults.pollDeadline ?? CONFIG.POLL_DEADLINE
+    };
+
+    try {
+      parseCron(job.cron);
+      nextCronTime(job.cron, Date.now(), job.timeZone);
+    } catch (error) {
+      throw new Error(`Job "${name}": ${error.message}`);
+    }
+    if (!Number.isInteger(job.deliveryOffset)) {
+      throw new Error(`Job "${name}": deliveryOffset must be a whole number of days, got "${job.deliveryOffset}"`);
+    }
+    const reserved = job.args.find((arg) => RESERVED_ARGS.includes(arg.split('=')[0]));
+    if (reserved) {
+      throw new Error(`Job "${name}": ${reserved} is set by the scheduler`);
+    }
+    try {
+      parseCliArgs(scrapeArgs(job, zonedDate(Date.now(), job.timeZone)));
+    } catch (error) {
+      throw new Error(`Job "${name}": ${error.message}`);
+    }
+    return job;
+  });
+}
+
+/**
+ * Builds the epex-scrape arguments of one scheduled delivery day. Runs
+ * require complete days, so partly published results are polled again,
+ * and write one file per area and day unless the job names its output.
+ * @param {ScheduleJob} job - Scheduled job; only market, marketAreas and args are read
+ * @param {string} deliveryDate - Delivery date (YYYY-MM-DD)
+ * @returns {string[]} epex-scrape arguments
+ */
+export function scrapeArgs(job, deliveryDate) {
+  const hasOutput = job.args.some((arg) => ['-o', '--output'].includes(arg.split('=')[0]));
+  return [
+    '--market', job.market,
+    '--market-area', job.marketAreas.join(','),
+    '--date', deliveryDate,
+    '--require-complete',
+    ...(hasOutput ? [] : ['--output', path.join(CONFIG.OUTPUT_DIR, '{market}_{marketArea}_{deliveryDate}.{format}')]),
+    ...job.args
+  ];
+}
+
+/**
+ * Opens the persisted state of scheduled jobs, a JSON file holding per job
+ * the last planned run and the state of each scheduled delivery day
+ * @param {string} [filePath] - State file (defaults to CONFIG.SCHEDULE_STATE_FILE)
+ * @returns {Object} The state: filePath, jobs, job, save
+ */
+export function openJobState(filePath = CONFIG.SCHEDULE_STATE_FILE) {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  const data = fs.existsSync(resolvedPath)
+    ? JSON.parse(fs.readFileSync(resolvedPath, 'utf-8'))
+    : { jobs: {} };
+
+  /**
+   * Gets the state of a job, creating it on first use
+   * @param {string} name - Job name
+   * @returns {{lastPlannedAt: string|null, deliveries: Object<string, DeliveryState>}} Job state
+   */
+  function job(name) {
+    data.jobs[name] ||= { lastPlannedAt: null, deliveries: {} };
+    return data.jobs[name];
+  }
+
+  /**
+   * Writes the state, dropping days finished more than STATE_RETENTION_DAYS ago
+   * @param {Date} [now] - Current time
+   * @returns {Promise<string>} State file path
+   */
+  async function save(now = new Date()) {
+    const cutoff = now.getTime() - STATE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    for (const jobState of Object.values(data.jobs)) {
+      for (const [deliveryDate, delivery] of Object.entries(jobState.deliveries)) {
+        if (delivery.finishedAt && Date.parse(delivery.finishedAt) < cutoff) {
+          delete jobState.deliveries[deliveryDate];
+        }
+      }
+    }
+    await fs.promises.mkdir(path.dirname(resolvedPath), { recursive: true });
+    return writeAtomically(resolvedPath, (tempPath) => fs.promises.writeFile(tempPath, `${JSON.stringify(data, null, 2)}\n`));
+  }
+
+  return { filePath: resolvedPath, jobs: data.jobs, job, save };
+}
+
+/**
+ * Adds the delivery days of the runs scheduled since a job was last
+ * planned. On first start, and after downtime, runs are looked back for as
+ * far as their poll deadline reaches, so a day whose results may still be
+ * fetched is not skipped; days already in the state are never added again.
+ * @param {ScheduleJob} job - Scheduled job
+ * @param {Object} jobState - State of the job, see openJobState
+ * @param {Date} now - Current time
+ * @returns {string[]} Delivery dates added
+ */
+export function planDeliveries(job, jobState, now) {
+  const added = [];
+  const lookBack = now.getTime() - job.pollDeadline;
+  let from = Math.max(jobState.lastPlannedAt ? Date.parse(jobState.lastPlannedAt) : lookBack, lookBack);
+
+  for (let runAt = nextCronTime(job.cron, from, job.timeZone); runAt <= now; runAt = nextCronTime(job.cron, from, job.timeZone)) {
+    const deliveryDate = addDays(zonedDate(runAt, job.timeZone), job.deliveryOffset);
+    if (!jobState.deliveries[deliveryDate]) {
+      jobState.deliveries[deliveryDate] = {
+        status: 'pending',
+        scheduledAt: runAt.toISOString(),
+        deadline: new Date(runAt.getTime() + job.pollDeadline).toISOString(),
+        nextAttemptAt: runAt.toISOString(),
+        attempts: 0,
+        lastExitCode: null,
+        lastAttemptAt: null,
+        finishedAt: null
+      };
+      added.push(deliveryDate);
+    }
+    from = runAt.getTime();
+  }
+
+  jobState.lastPlannedAt = now.toISOString();
+  return added;
+}
+
+/**
+ * Records the outcome of one run of a delivery day: done on success,
+ * failed on invalid arguments or once the poll deadline has passed,
+ * otherwise polled again after the job's poll interval
+ * @param {ScheduleJob} job - Scheduled job
+ * @param {DeliveryState} delivery - State of the day, updated in place
+ * @param {number} exitCode - epex-scrape exit code
+ * @param {Date} now - Time the run ended
+ * @returns {DeliveryState} The updated state
+ */
+export function recordAttempt(job, delivery, exitCode, now) {
+  const nextAttempt = now.getTime() + job.pollInterval;
+  delivery.lastExitCode = exitCode;
+
+  if (exitCode === EXIT_CODES.SUCCESS) {
+    delivery.status = 'done';
+  } else if (exitCode === EXIT_CODES.USAGE || nextAttempt > Date.parse(delivery.deadline)) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(nextAttempt).toISOString();
+    return delivery;
+  }
+  delivery.finishedAt = now.toISOString();
+  return delivery;
+}
+
+/**
+ * Plans every job and runs the delivery days that are due, one at a time
+ * @param {ScheduleJob[]} jobs - Scheduled jobs
+ * @param {Object} state - Job state, see openJobState
+ * @param {Object} [options] - Effects
+ * @param {function(): Date} [options.now] - Current time (defaults to the clock)
+ * @param {function(string[]): Promise<number>} [options.runJob] - Runs epex-scrape with the given
+ *   arguments and returns its exit code (defaults to the epex-scrape command)
+ * @param {AbortSignal} [options.signal] - Stops before the next run when aborted
+ * @returns {Promise<{runs: Array<{job: string, deliveryDate: string, exitCode: number, status: string}>, nextWakeAt: Date}>}
+ *   Runs made and when something is due next
+ */
+export async function runDueJobs(jobs, state, options = {}) {
+  const now = options.now || (() => new Date());
+  const runJob = options.runJob || runScrape;
+  const runs = [];
+
+  for (const job of jobs) {
+    const jobState = state.job(job.name);
+    for (const deliveryDate of planDeliveries(job, jobState, now())) {
+      console.log(`📍 ${job.name}: ${deliveryDate} scheduled`);
+    }
+    await state.save(now());
+
+    const due = Object.entries(jobState.deliveries)
+      .filter(([, delivery]) => delivery.status === 'pending' && Date.parse(delivery.nextAttemptAt) <= now().getTime())
+      .sort(([a], [b]) => a.localeCompare(b));
+    for (const [deliveryDate, delivery] of due) {
+      if (options.signal?.aborted) {
+        break;
+      }
+      delivery.attempts++;
+      delivery.lastAttemptAt = now().toISOString();
+      console.log(`📍 ${job.name}: scraping ${deliveryDate} (attempt ${delivery.attempts})`);
+
+      let exitCode;
+      try {
+        exitCode = await runJob(scrapeArgs(job, deliveryDate));
+      } catch (error) {
+        console.error(`❌ ${job.name}: ${error.message}`);
+        exitCode = exitCodeFor(error);
+      }
+      recordAttempt(job, delivery, exitCode, now());
+      await state.save(now());
+
+      if (delivery.status === 'done') {
+        console.log(`✓ ${job.name}: ${deliveryDate} done`);
+      } else if (delivery.status === 'failed') {
+        console.error(`❌ ${job.name}: gave up on ${deliveryDate} after ${delivery.attempts} attempts (exit code ${exitCode})`);
+      } else {
+        console.warn(`⚠ ${job.name}: ${deliveryDate} not available yet (exit code ${exitCode}), polling again at ${delivery.nextAttemptAt}`);
+      }
+      runs.push({ job: job.name, deliveryDate, exitCode, status: delivery.status });
+    }
+  }
+
+  return { runs, nextWakeAt: nextWakeTime(jobs, state, now()) };
+}
+
+/**
+ * Gets when the next job run or poll is due
+ * @param {ScheduleJob[]} jobs - Scheduled jobs
+ * @param {Object} state - Job state, see openJobState
+ * @param {Date} now - Current time
+ * @returns {Date} Next due time
+ */
+function nextWakeTime(jobs, state, now) {
+  const times = jobs.flatMap((job) => {
+    const jobState = state.job(job.name);
+    const polls = Object.values(jobState.deliveries)
+      .filter((delivery) => delivery.status === 'pending')
+      .map((delivery) => Date.parse(delivery.nextAttemptAt));
+    return [nextCronTime(job.cron, now, job.timeZone).getTime(), ...polls];
+  });
+  return new Date(Math.min(...times));
+}
+
+/**
+ * Waits, returning early when the signal is aborted
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Ends the wait when aborted
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Runs scheduled jobs until the signal is aborted
+ * @param {ScheduleJob[]} jobs - Scheduled jobs, see resolveJobs
+ * @param {Object} state - Job state, see openJobState
+ * @param {Object} [options] - Scheduler options, see runDueJobs
+ * @param {AbortSignal} [options.signal] - Stops the scheduler once the current run ends
+ * @returns {Promise<void>}
+ */
+export async function runScheduler(jobs, state, options = {}) {
+  const now = options.now || (() => new Date());
+  while (!options.signal?.aborted) {
+    const { nextWakeAt } = await runDueJobs(jobs, state, options);
+    if (options.signal?.aborted) {
+      break;
+    }
+    const wait = Math.max(0, nextWakeAt.getTime() - now().getTime());
+    if (wait > MAX_SLEEP) {
+      console.log(`   Next run at ${nextWakeAt.toISOString()}`);
+    }
+    await (options.sleep || sleep)(Math.min(wait, MAX_SLEEP), options.signal);
+  }
+}
+
+/**
+ * Parses epex-schedule command-line arguments
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {Object} Normalised options: help, jobs, state, once
+ * @throws {UsageError} When the arguments or the job file are invalid
+ */
+export function parseScheduleArgs(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        market: { type: 'string' },
+        'market-area': { type: 'string', short: 'm' },
+        cron: { type: 'string' },
+        'time-zone': { type: 'string' },
+        state: { type: 'string' },
+        'poll-interval': { type: 'string' },
+        'poll-deadline': { type: 'string' },
+        once: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (values.help) {
+    return { help: true };
+  }
+  if (positionals.length > 1) {
+    throw new UsageError('Expected at most one job file');
+  }
+  if (positionals.length === 1 && (values.market || values['market-area'] || values.cron || values['time-zone'])) {
+    throw new UsageError('--market, --market-area, --cron and --time-zone define a single job and cannot be combined with a job file');
+  }
+
+  const defaults = {};
+  for (const [name, key, unit] of [['poll-interval', 'pollInterval', 60000], ['poll-deadline', 'pollDeadline', 3600000]]) {
+    if (values[name] !== undefined) {
+      defaults[key] = Number(values[name]) * unit;
+      if (!(defaults[key] > 0)) {
+        throw new UsageError(`--${name} must be a positive number, got "${values[name]}"`);
+      }
+    }
+  }
+
+  let definitions;
+  let state = values.state;
+  if (positionals.length === 1) {
+    let file;
+    try {
+      file = JSON.parse(fs.readFileSync(positionals[0], 'utf-8'));
+    } catch (error) {
+      throw new UsageError(`Cannot read job file ${positionals[0]}: ${error.message}`);
+    }
+    definitions = file.jobs;
+    state ||= file.state;
+  } else {
+    definitions = [{
+      market: values.market,
+      marketArea: values['market-area'],
+      cron: values.cron,
+      timeZone: values['time-zone']
+    }];
+  }
+
+  let jobs;
+  try {
+    jobs = resolveJobs(definitions, defaults);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  return { help: false, jobs, state: state || CONFIG.SCHEDULE_STATE_FILE, once: Boolean(values.once) };
+}
+
+/**
+ * Runs the epex-schedule command
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {Promise<number>} Process exit code
+ */
+export async function main(argv) {
+  try {
+    const options = parseScheduleArgs(argv);
+    if (options.help) {
+      console.log(USAGE);
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const state = openJobState(options.state);
+    if (options.once) {
+      const { runs } = await runDueJobs(options.jobs, state);
+      const failed = runs.find((run) => run.exitCode !== EXIT_CODES.SUCCESS);
+      return failed ? failed.exitCode : EXIT_CODES.SUCCESS;
+    }
+
+    const controller = new AbortController();
+    const stop = () => {
+      console.log('📍 Stopping after the current run');
+      controller.abort();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    console.log(`📍 Scheduling ${options.jobs.map((job) => `${job.name} (${job.cron} ${job.timeZone})`).join(', ')}; state in ${state.filePath}`);
+    try {
+      await runScheduler(options.jobs, state, { signal: controller.signal });
+    } finally {
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+    }
+    return EXIT_CODES.SUCCESS;
+
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    if (error instanceof UsageError) {
+      console.error(`\n${USAGE}`);
+    }
+    return exitCodeFor(error);
+  }
+}
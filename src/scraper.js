@@ -0,0 +1,387 @@
+import { CONFIG } from './config.js';
+import { mapHeaderColumns } from './columns.js';
+import { assertNotBlocked } from './blocking.js';
+import { EmptyResultError, ParseError } from './errors.js';
+import { getMarketSchema, resolveMarket } from './modalities.js';
+import { resolveRetryPolicy, runWithRetry } from './retry.js';
+
+/**
+ * A single row of market results as scraped from the table.
+ * Values are the raw cell texts; see parseMarketRows for typed rows.
+ * Continuous intraday rows carry Product, Low, High, Last and Weight Avg;
+ * auction rows carry Buy Volume, Sell Volume and Price instead (see getMarketSchema).
+ * @typedef {Object} MarketDataRow
+ * @property {string} [Market Area] - Market area code, set by scrapeMarketResults
+ * @property {string} [Delivery Date] - Delivery date (YYYY-MM-DD), set by scrapeMarketResults
+ * @property {string} [Market] - Market modality, e.g. "day-ahead", set by scrapeMarketResults
+ * @property {string} Period - Delivery period label, e.g. "00:00" or "00:00 - 01:00"
+ * @property {string} [Product] - Product label
+ * @property {string} [Low] - The lowest price recorded
+ * @property {string} [High] - The highest price recorded
+ * @property {string} [Last] - The last recorded price
+ * @property {string} ['Weight Avg'] - The weighted average price
+ * @property {string} [Buy Volume] - Auction buy volume
+ * @property {string} [Sell Volume] - Auction sell volume
+ * @property {string} [Price] - Auction clearing price
+ * @property {string} Volume - Traded volume, empty when not published
+ */
+
+/**
+ * Maps the cell texts of one table row to a market data row
+ * @param {string[]} cells - Trimmed cell texts in column order
+ * @param {Object<string, number>} columns - Column index per canonical field, see mapHeaderColumns
+ * @param {{fields: string[], requiredColumns: string[]}} [schema] - Market schema
+ *   (defaults to the CONFIG.MARKET schema, see getMarketSchema)
+ * @returns {MarketDataRow|null} Row with every field of the schema, or null when the row is too short
+ *   or a required field is empty
+ */
+export function buildRow(cells, columns, schema = getMarketSchema()) {
+  const cellAt = (field) => (columns[field] === undefined ? '' : cells[columns[field]] || '');
+
+  if (cells.length <= Math.max(...schema.requiredColumns.map((field) => columns[field] ?? 0))) {
+    return null;
+  }
+
+  const rowData = Object.fromEntries(schema.fields.map((field) => [field, cellAt(field)]));
+
+  // Only keep rows where the period and all prices have data
+  if (schema.requiredColumns.some((field) => !rowData[field])) {
+    return null;
+  }
+  return rowData;
+}
+
+/**
+ * Reads the header labels and the trimmed text of every cell in the rows
+ * matching a selector. The header is the last <thead> row of the table
+ * holding the first matched row. Virtualized tables number their rows
+ * (aria-rowindex, data-index or data-row-index); that number is returned
+ * as the row key so rows read after scrolling can be told apart.
+ * Runs inside the browser through page.evaluate, so it must stay self-contained.
+ * @param {string} selector - Row selector
+ * @param {Document|Element} [root] - Node to search, defaults to the page document
+ * @returns {{headers: string[], rows: string[][], keys: Array<string|null>}} Header labels, cell texts
+ *   and key per row
+ */
+export function readTable(selector, root = document) {
+  const cellTexts = (row) => Array.from(row.querySelectorAll('th, td'), (cell) => cell.textContent?.trim() || '');
+  const rowKey = (row) => row.getAttribute('aria-rowindex') ?? row.getAttribute('data-index') ?? row.getAttribute('data-row-index');
+  const rowElements = Array.from(root.querySelectorAll(selector))
+    .filter((row) => !row.closest('thead') && row.querySelector('td'));
+  const table = rowElements[0]?.closest('table');
+  const headerRows = table ? table.querySelectorAll('thead tr') : [];
+  const headerRow = headerRows[headerRows.length - 1];
+
+  return {
+    headers: headerRow ? cellTexts(headerRow) : [],
+    rows: rowElements.map(cellTexts),
+    keys: rowElements.map(rowKey)
+  };
+}
+
+/**
+ * Maps the cell texts of a table read to market data rows, locating the
+ * columns by their header labels
+ * @param {{headers: string[], rows: string[][]}} table - Result of readTable
+ * @param {Object} [options] - Mapping options
+ * @param {string} [options.market] - Market modality selecting the column schema (defaults to CONFIG.MARKET)
+ * @param {Object<string, number>} [options.columns] - Explicit column index per canonical field,
+ *   skips header mapping
+ * @param {Object<string, string[]>} [options.columnAliases] - Additional header labels per canonical field
+ * @param {string[]} [options.requiredColumns] - Fields that must be present in the header
+ *   (defaults to the market's required columns)
+ * @returns {MarketDataRow[]} Complete rows, see buildRow
+ * @throws {MissingColumnError} When the header lacks a required column
+ */
+export function rowsFromTable(table, options = {}) {
+  const schema = getMarketSchema(resolveMarket(options));
+  const columns = options.columns || mapHeaderColumns(table.headers, {
+    ...options,
+    requiredColumns: options.requiredColumns || schema.requiredColumns
+  });
+  return table.rows
+    .map((cells) => buildRow(cells, columns, schema))
+    .filter(Boolean);
+}
+
+/**
+ * Adds the rows of a table read that earlier reads of the same table did
+ * not return. Rows are matched on their key, or on their cell texts when
+ * the table does not number its rows; identical rows within one read are
+ * all kept.
+ * @param {{headers: string[], rows: string[][], keys: string[]}} collected - Rows collected so far
+ * @param {{headers: string[], rows: string[][], keys?: Array<string|null>}} table - Result of readTable
+ * @returns {{headers: string[], rows: string[][], keys: string[], added: number}} Collected rows and the
+ *   number of rows this read added
+ */
+export function mergeTableRows(collected, table) {
+  const seen = new Set(collected.keys);
+  const rows = [...collected.rows];
+  const keys = [...collected.keys];
+
+  table.rows.forEach((cells, index) => {
+    const key = table.keys?.[index] ?? cells.join('\u001f');
+    if (!seen.has(key)) {
+      rows.push(cells);
+      keys.push(key);
+    }
+  });
+
+  return {
+    headers: collected.headers.length > 0 ? collected.headers : table.headers,
+    rows,
+    keys,
+    added: rows.length - collected.rows.length
+  };
+}
+
+/**
+ * Scrolls the nearest scrollable ancestor of the matched rows (or the page)
+ * down by one screen, so a virtualized table renders its next rows.
+ * Runs inside the browser through page.evaluate, so it must stay self-contained.
+ * @param {string} selector - Row selector
+ * @returns {boolean} False when the container was already scrolled to the end
+ */
+function scrollTable(selector) {
+  const isScrollable = (element) => element.scrollHeight > element.clientHeight + 1
+    && ['auto', 'scroll'].includes(getComputedStyle(element).overflowY);
+  let container = document.querySelector(selector)?.parentElement;
+  while (container && !isScrollable(container)) {
+    container = container.parentElement;
+  }
+  container = container || document.scrollingElement || document.documentElement;
+
+  if (container.scrollTop + container.clientHeight >= container.scrollHeight - 1) {
+    return false;
+  }
+  container.scrollTop += container.clientHeight;
+  return true;
+}
+
+/**
+ * Finds the first visible and enabled control matching any of the selectors
+ * @param {Page} page - Playwright page object
+ * @param {string[]} selectors - Control selectors, tried in order
+ * @returns {Promise<ElementHandle|null>} The control, or null when there is none
+ */
+async function findControl(page, selectors) {
+  for (const selector of selectors) {
+    for (const control of await page.$$(selector)) {
+      if (await control.isVisible() && await control.isEnabled()) {
+        return control;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads every row of a results table that is paginated, loads more rows on
+ * demand or only renders the rows in view: after each read it clicks a
+ * "load more" or "next page" control, or scrolls the table, until no new
+ * rows appear or options.maxPages is reached.
+ * @param {Page} page - Playwright page object
+ * @param {string} selector - Row selector
+ * @param {Object} [options] - Pagination options
+ * @param {string[]} [options.loadMoreSelectors] - "Load more" controls (defaults to CONFIG.LOAD_MORE_SELECTORS)
+ * @param {string[]} [options.nextPageSelectors] - "Next page" controls (defaults to CONFIG.NEXT_PAGE_SELECTORS)
+ * @param {number} [options.maxPages] - Maximum clicks / scrolls (defaults to CONFIG.MAX_PAGES)
+ * @param {number} [options.paginationTimeout] - Maximum wait for the table to change after a click (ms)
+ * @returns {Promise<{headers: string[], rows: string[][]}>} Header labels and cell texts of all rows
+ */
+async function collectTableRows(page, selector, options = {}) {
+  const loadMoreSelectors = options.loadMoreSelectors || CONFIG.LOAD_MORE_SELECTORS;
+  const nextPageSelectors = options.nextPageSelectors || CONFIG.NEXT_PAGE_SELECTORS;
+  const maxPages = options.maxPages ?? CONFIG.MAX_PAGES;
+  const paginationTimeout = options.paginationTimeout ?? CONFIG.PAGINATION_TIMEOUT;
+
+  let table = await page.evaluate(readTable, selector);
+  let collected = mergeTableRows({ headers: [], rows: [], keys: [] }, table);
+
+  for (let step = 0; step < maxPages; step++) {
+    const control = await findControl(page, loadMoreSelectors) || await findControl(page, nextPageSelectors);
+
+    if (control) {
+      const before = { count: table.rows.length, first: table.rows[0]?.join('|') ?? '', last: table.rows.at(-1)?.join('|') ?? '' };
+      await control.click();
+      try {
+        await page.waitForFunction(([rowSelector, previous]) => {
+          const rows = Array.from(document.querySelectorAll(rowSelector)).filter((row) => !row.closest('thead') && row.querySelector('td'));
+          const text = (row) => (row ? Array.from(row.querySelectorAll('th, td'), (cell) => cell.textContent?.trim() || '').join('|') : '');
+          return rows.length !== previous.count || text(rows[0]) !== previous.first || text(rows.at(-1)) !== previous.last;
+        }, [selector, before], { timeout: paginationTimeout });
+      } catch {
+        // The control did not change the table, so there is nothing more to load
+        break;
+      }
+    } else if (!await page.evaluate(scrollTable, selector)) {
+      break;
+    } else {
+      // Give a virtualized table time to render the rows scrolled into view
+      await page.waitForTimeout(250);
+    }
+
+    table = await page.evaluate(readTable, selector);
+    collected = mergeTableRows(collected, table);
+    // A scroll that renders no new rows means the table is not virtualized or is exhausted
+    if (!control && collected.added === 0) {
+      break;
+    }
+  }
+
+  return { headers: collected.headers, rows: collected.rows };
+}
+
+/**
+ * Extracts market data from a single table row
+ * @param {Element} row - The table row element
+ * @param {Object} [options] - Extraction options
+ * @param {Object<string, number>} [options.columns] - Column indexes; read from the row's table header when omitted
+ * @param {Object<string, string[]>} [options.columnAliases] - Additional header labels per canonical field
+ * @param {string} [options.market] - Market modality selecting the column schema (defaults to CONFIG.MARKET)
+ * @returns {MarketDataRow|null} Object containing every column, or null if extraction fails
+ */
+export function extractRowData(row, options = {}) {
+  try {
+    const cells = Array.from(row.querySelectorAll('th, td'), (cell) => cell.textContent?.trim() || '');
+    const schema = getMarketSchema(resolveMarket(options));
+    let columns = options.columns;
+
+    if (!columns) {
+      const headerRows = row.closest('table')?.querySelectorAll('thead tr') || [];
+      const headerRow = headerRows[headerRows.length - 1];
+      const headers = headerRow
+        ? Array.from(headerRow.querySelectorAll('th, td'), (cell) => cell.textContent?.trim() || '')
+        : [];
+      columns = mapHeaderColumns(headers, {
+        ...options,
+        requiredColumns: options.requiredColumns || schema.requiredColumns
+      });
+    }
+
+    return buildRow(cells, columns, schema);
+  } catch (error) {
+    console.error('Error extracting row data:', error);
+    return null;
+  }
+}
+
+/**
+ * Finds the first selector that matches table rows on the page
+ * @param {Page} page - Playwright page object
+ * @param {string} selector - Preferred row selector
+ * @param {string[]} alternativeSelectors - Fallback selectors, tried in order
+ * @returns {Promise<string>} The selector that matched
+ */
+async function findRowSelector(page, selector, alternativeSelectors) {
+  if (await page.$(selector)) {
+    return selector;
+  }
+
+  console.log('Table selector not found, trying alternative selectors...');
+  for (const altSelector of alternativeSelectors) {
+    if (await page.$(altSelector)) {
+      console.log(`Found table with selector: ${altSelector}`);
+      return altSelector;
+    }
+  }
+
+  throw new ParseError('No table rows found with any selector');
+}
+
+/**
+ * Scrapes market data from the currently loaded market results page and
+ * reports how it was read, see scrapeMarketData for the options
+ * @param {Page} page - Playwright page object
+ * @param {Object} [options] - Scrape options
+ * @param {string} [options.tableSelector] - Row selector (defaults to CONFIG.TABLE_SELECTOR)
+ * @param {string[]} [options.alternativeSelectors] - Fallback row selectors
+ * @param {Object<string, number>} [options.columns] - Explicit column index per canonical field,
+ *   skips header mapping
+ * @param {Object<string, string[]>} [options.columnAliases] - Additional header labels per canonical field
+ * @param {string} [options.market] - Market modality selecting the column schema (defaults to CONFIG.MARKET)
+ * @param {string[]} [options.requiredColumns] - Fields that must be present in the header
+ *   (defaults to the market's required columns)
+ * @param {boolean} [options.paginate] - Follow "load more" / "next page" controls and scroll virtualized
+ *   tables until every row is read (default true), see collectTableRows for its options
+ * @param {number} [options.timeout] - Maximum wait for the page to settle (ms)
+ * @param {number} [options.retryAttempts] - Number of attempts before giving up; see resolveRetryPolicy
+ *   for the other retry options (retryDelay, retryMaxDelay, retryFactor, retryJitter, retryBudget, retryOn)
+ * @returns {Promise<{rows: MarketDataRow[], selector: string, attempts: number, outcome: import('./retry.js').RetryOutcome}>}
+ *   Market data rows, the row selector that matched, the number of attempts made and how retrying went
+ * @throws {BlockedError} When bot protection blocked or challenged the page, see detectBlock
+ * @throws {ParseError} When no results table can be found
+ * @throws {MissingColumnError} When the table header lacks a required column
+ * @throws {EmptyResultError} When the table has no complete data rows
+ */
+export async function scrapeMarketTable(page, options = {}) {
+  const tableSelector = options.tableSelector || CONFIG.TABLE_SELECTOR;
+  const alternativeSelectors = options.alternativeSelectors || CONFIG.ALTERNATIVE_SELECTORS;
+  const timeout = options.timeout ?? CONFIG.TIMEOUT;
+  const policy = resolveRetryPolicy(options);
+
+  try {
+    const { value, outcome } = await runWithRetry(async () => {
+      // A challenge may replace the page after it loaded
+      await assertNotBlocked(page);
+
+      // Wait for any content to load on page
+      await page.waitForLoadState('networkidle', { timeout });
+
+      // Try to find table rows with multiple selector strategies
+      const selector = await findRowSelector(page, tableSelector, alternativeSelectors);
+
+      // Read the whole table, following pagination, in as few page.evaluate calls as possible
+      const table = options.paginate === false
+        ? await page.evaluate(readTable, selector)
+        : await collectTableRows(page, selector, options);
+      const rows = rowsFromTable(table, options);
+
+      if (rows.length === 0) {
+        throw new EmptyResultError('No data rows found in table');
+      }
+      return { rows, selector };
+    }, policy, {
+      sleep: (ms) => page.waitForTimeout(ms),
+      onRetry: ({ attempt, failureClass, error, delay }) => {
+        console.warn(`Attempt ${attempt} failed (${failureClass}):`, error.message);
+        console.log(`Retrying after ${(delay / 1000).toFixed(1)} seconds...`);
+      }
+    });
+    return { ...value, attempts: outcome.attempts, outcome };
+  } catch (error) {
+    // Keep the error class so callers can tell empty results from parse failures
+    if (error.outcome?.reason === 'attempts-exhausted' && error.outcome.attempts > 1) {
+      error.message = `Failed to scrape data after ${error.outcome.attempts} attempts: ${error.message}`;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Scrapes market data from the currently loaded market results page
+ * @param {Page} page - Playwright page object
+ * @param {Object} [options] - Scrape options
+ * @param {string} [options.tableSelector] - Row selector (defaults to CONFIG.TABLE_SELECTOR)
+ * @param {string[]} [options.alternativeSelectors] - Fallback row selectors
+ * @param {Object<string, number>} [options.columns] - Explicit column index per canonical field,
+ *   skips header mapping
+ * @param {Object<string, string[]>} [options.columnAliases] - Additional header labels per canonical field
+ * @param {string} [options.market] - Market modality selecting the column schema (defaults to CONFIG.MARKET)
+ * @param {string[]} [options.requiredColumns] - Fields that must be present in the header
+ *   (defaults to the market's required columns)
+ * @param {boolean} [options.paginate] - Follow "load more" / "next page" controls and scroll virtualized
+ *   tables until every row is read (default true), see collectTableRows for its options
+ * @param {number} [options.timeout] - Maximum wait for the page to settle (ms)
+ * @param {number} [options.retryAttempts] - Number of attempts before giving up; see resolveRetryPolicy
+ *   for the other retry options
+ * @returns {Promise<MarketDataRow[]>} Array of market data objects
+ * @throws {BlockedError} When bot protection blocked or challenged the page, see detectBlock
+ * @throws {ParseError} When no results table can be found
+ * @throws {MissingColumnError} When the table header lacks a required column
+ * @throws {EmptyResultError} When the table has no complete data rows
+ *   (every error carries the RetryOutcome of the attempts as error.outcome)
+ */
+export async function scrapeMarketData(page, options = {}) {
+  return (await scrapeMarketTable(page, options)).rows;
+}
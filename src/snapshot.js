@@ -0,0 +1,97 @@
+import fs from 'fs';
+import path from 'path';
+import { parseHTML } from 'linkedom';
+import { blockedErrorFor, detectBlock } from './blocking.js';
+import { CONFIG } from './config.js';
+import { EmptyResultError, ParseError } from './errors.js';
+import { MARKET_AREAS } from './markets.js';
+import { listMarkets } from './modalities.js';
+import { readTable, rowsFromTable } from './scraper.js';
+
+/**
+ * Tried after the configured selectors: a browser wraps table rows in an
+ * implied <tbody>, but a saved page parsed outside the browser may have none
+ */
+const OFFLINE_ROW_SELECTOR = 'table tr';
+
+/**
+ * File extensions of saved results pages
+ */
+export const SNAPSHOT_EXTENSIONS = ['.html', '.htm'];
+
+/**
+ * Parses the results table of a saved market results page without a
+ * browser, with the same table reading and column mapping as scrapeMarketData
+ * @param {string} html - Page HTML
+ * @param {Object} [options] - Parse options, see rowsFromTable
+ * @param {string} [options.tableSelector] - Row selector (defaults to CONFIG.TABLE_SELECTOR)
+ * @param {string[]} [options.alternativeSelectors] - Fallback row selectors
+ * @param {string} [options.market] - Market modality selecting the column schema (defaults to CONFIG.MARKET)
+ * @returns {import('./scraper.js').MarketDataRow[]} Raw rows, see parseMarketRows for typed rows
+ * @throws {BlockedError} When the page is a bot protection challenge instead of results
+ * @throws {ParseError} When the page has no table rows
+ * @throws {MissingColumnError} When the table header lacks a required column
+ * @throws {EmptyResultError} When the table has no complete data rows
+ */
+export function parseMarketResultsHtml(html, options = {}) {
+  const { document } = parseHTML(html);
+  const selectors = [
+    options.tableSelector || CONFIG.TABLE_SELECTOR,
+    ...(options.alternativeSelectors || CONFIG.ALTERNATIVE_SELECTORS),
+    OFFLINE_ROW_SELECTOR
+  ];
+
+  const table = selectors.map((selector) => readTable(selector, document)).find((read) => read.rows.length > 0);
+  if (!table) {
+    const detection = detectBlock({ html });
+    if (detection) {
+      throw blockedErrorFor(detection);
+    }
+    throw new ParseError('No table rows found with any selector');
+  }
+
+  const rows = rowsFromTable(table, options);
+  if (rows.length === 0) {
+    throw new EmptyResultError('No data rows found in table');
+  }
+  return rows;
+}
+
+/**
+ * Reads the market area, delivery date and market from a snapshot file
+ * name such as "GB_2026-01-26.html" or "day-ahead_DE-LU_2026-01-26.html"
+ * @param {string} filePath - Snapshot path
+ * @returns {{marketArea?: string, deliveryDate?: string, market?: string}} The values the name contains
+ */
+export function snapshotContext(filePath) {
+  const name = path.basename(filePath, path.extname(filePath));
+  const tokens = name.split(/[_\s.]+/);
+  const context = {};
+
+  const deliveryDate = name.match(/\d{4}-\d{2}-\d{2}/);
+  if (deliveryDate) {
+    context.deliveryDate = deliveryDate[0];
+  }
+  const marketArea = MARKET_AREAS.find((area) => tokens.includes(area));
+  if (marketArea) {
+    context.marketArea = marketArea;
+  }
+  const market = listMarkets().find((candidate) => name.toLowerCase().includes(candidate));
+  if (market) {
+    context.market = market;
+  }
+  return context;
+}
+
+/**
+ * Lists the saved results pages in a directory, in name order
+ * @param {string} directory - Snapshot directory
+ * @returns {Promise<string[]>} Snapshot paths
+ */
+export async function listSnapshots(directory) {
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  return entries
+    .filter((entry) => entry.isFile() && SNAPSHOT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+    .map((entry) => path.join(directory, entry.name))
+    .sort();
+}
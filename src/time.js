@@ -0,0 +1,130 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Gets the offset of a time zone from UTC at an instant
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+export function timeZoneOffset(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(new Date(instant)).map((part) => [part.type, part.value])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Converts a local date and time in a time zone to a UTC instant.
+ * Times repeated when summer time ends resolve to their first occurrence,
+ * or to their second with options.later.
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {number} hours - Local hours, 24 meaning midnight at the end of the day
+ * @param {number} minutes - Local minutes
+ * @param {string} timeZone - IANA time zone name
+ * @param {Object} [options] - Conversion options
+ * @param {boolean} [options.later] - Resolve a repeated time to its second occurrence
+ * @returns {Date} The UTC instant
+ */
+export function zonedTimeToUtc(date, hours, minutes, timeZone, options = {}) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  // Apply the offset twice so instants next to a DST switch pick up the right one
+  const firstGuess = wallClock - timeZoneOffset(wallClock, timeZone);
+  const instant = wallClock - timeZoneOffset(firstGuess, timeZone);
+
+  // A local time repeated when summer time ends maps to its first occurrence
+  const earlier = instant - HOUR_MS;
+  const first = earlier + timeZoneOffset(earlier, timeZone) === wallClock ? earlier : instant;
+  const second = first + HOUR_MS;
+  return new Date(options.later && second + timeZoneOffset(second, timeZone) === wallClock ? second : first);
+}
+
+/**
+ * Gets the local calendar date of an instant in a time zone
+ * @param {Date|number} instant - Instant as a Date or milliseconds since the epoch
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} Local date (YYYY-MM-DD)
+ */
+export function zonedDate(instant, timeZone) {
+  const time = instant instanceof Date ? instant.getTime() : instant;
+  return new Date(time + timeZoneOffset(time, timeZone)).toISOString().split('T')[0];
+}
+
+/**
+ * Gets the UTC bounds and length of a delivery day in a time zone.
+ * Days on which daylight saving time starts have 23 hours, days on which
+ * it ends have 25.
+ * @param {string} deliveryDate - Delivery date (YYYY-MM-DD)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{start: Date, end: Date, hours: number}} Local midnight to midnight as UTC instants
+ */
+export function deliveryDayBounds(deliveryDate, timeZone) {
+  const start = zonedTimeToUtc(deliveryDate, 0, 0, timeZone);
+  const end = zonedTimeToUtc(deliveryDate, 24, 0, timeZone);
+  return { start, end, hours: (end - start) / 3600000 };
+}
+
+/**
+ * Parses a delivery period label into minutes after local midnight.
+ * Understands "00:00", "00:15 - 00:30" and the "00 - 01" hours of auction
+ * tables; an end at or before the start (e.g. "23:45 - 00:00") is taken to
+ * be on the next day.
+ * @param {string} period - Period label
+ * @returns {{start: number, end: number|null}|null} Start and end minutes, or null when the label has no time
+ */
+export function parsePeriodLabel(period) {
+  const label = String(period);
+  const minutes = [...label.matchAll(/(\d{1,2}):(\d{2})/g)].map((match) => Number(match[1]) * 60 + Number(match[2]));
+  if (minutes.length === 0) {
+    const hours = label.match(/^\s*(\d{1,2})\s*[-\u2013]\s*(\d{1,2})\s*$/);
+    if (hours) {
+      minutes.push(Number(hours[1]) * 60, Number(hours[2]) * 60);
+    }
+  }
+  if (minutes.length === 0) {
+    return null;
+  }
+
+  const [start, end] = minutes;
+  if (end === undefined) {
+    return { start, end: null };
+  }
+  return { start, end: end <= start ? end + 24 * 60 : end };
+}
+
+/**
+ * Converts a delivery period label to UTC start and end instants. The end
+ * is the start plus the length of the label, so a period in the repeated
+ * hour of the day summer time ends lasts as long as its label says.
+ * @param {string} deliveryDate - Delivery date (YYYY-MM-DD)
+ * @param {string} period - Period label, e.g. "00:00" or "00:15 - 00:30"
+ * @param {string} timeZone - IANA time zone the label is quoted in
+ * @param {number} [durationMinutes] - Period length, used when the label has no end time
+ * @param {Object} [options] - Conversion options
+ * @param {boolean} [options.later] - Start in the second occurrence of a repeated local time, see zonedTimeToUtc
+ * @returns {{start: Date|null, end: Date|null}} Period bounds; end is null when the label has no end time
+ *   and no duration is given
+ */
+export function periodBounds(deliveryDate, period, timeZone, durationMinutes, options = {}) {
+  const minutes = parsePeriodLabel(period);
+  if (!minutes) {
+    return { start: null, end: null };
+  }
+
+  const length = minutes.end !== null ? minutes.end - minutes.start : durationMinutes || null;
+  const start = zonedTimeToUtc(deliveryDate, Math.floor(minutes.start / 60), minutes.start % 60, timeZone, options);
+  return {
+    start,
+    end: length === null ? null : new Date(start.getTime() + length * 60 * 1000)
+  };
+}
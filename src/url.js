@@ -0,0 +1,26 @@
+import { CONFIG } from './config.js';
+import { getYesterdayDate } from './dates.js';
+import { getMarketSchema, resolveMarket } from './modalities.js';
+
+/**
+ * Constructs the market results URL with the delivery date and market modality parameters
+ * @param {Object} [options] - URL options
+ * @param {string} [options.baseUrl] - Market results page URL
+ * @param {string} [options.marketArea] - Market area code (defaults to CONFIG.MARKET_AREA)
+ * @param {string} [options.deliveryDate] - Delivery date (YYYY-MM-DD), defaults to yesterday in the market's time zone
+ * @param {string} [options.market] - Market modality, see MARKETS (defaults to CONFIG.MARKET)
+ * @param {string} [options.auction] - Intraday auction to show, e.g. "IDA2" (defaults to IDA1)
+ * @returns {string} Complete URL with market_area, delivery_date and modality parameters
+ */
+export function buildUrl(options = {}) {
+  const baseUrl = options.baseUrl || CONFIG.BASE_URL;
+  const marketArea = options.marketArea || CONFIG.MARKET_AREA;
+  const deliveryDate = options.deliveryDate || getYesterdayDate({ marketArea });
+  const { urlParams } = getMarketSchema(resolveMarket(options));
+
+  const params = { market_area: marketArea, delivery_date: deliveryDate, ...urlParams, data_mode: 'table' };
+  if (urlParams.auction && options.auction) {
+    params.auction = options.auction;
+  }
+  return `${baseUrl}?${new URLSearchParams(params)}`;
+}
@@ -0,0 +1,244 @@
+import path from 'path';
+import { CONFIG } from './config.js';
+import { isValidDate } from './dates.js';
+import { ValidationError } from './errors.js';
+import { checkPeriodCount } from './granularity.js';
+import { timeZoneFor } from './markets.js';
+import { getMarketSchema, marketColumns } from './modalities.js';
+import { resolveFileName } from './output.js';
+import { writeToCSV } from './writers/csv.js';
+
+/**
+ * A validation rule.
+ * Row rules return a rejection reason (or null) for one row; group rules
+ * return a list of issues for all rows of one market area and delivery date.
+ * @typedef {Object} ValidationRule
+ * @property {string} name - Rule identifier shown in the rejection report
+ * @property {'row'|'group'} scope - What the rule checks
+ * @property {Function} validate - (row, options) => string|null for row rules,
+ *   (rows, options) => string[] for group rules
+ */
+
+/**
+ * Checks the period count of one market area and delivery date, see
+ * checkPeriodCount: only rows of the day's granularity are counted, so
+ * hourly products listed beside quarter-hour ones do not skew the count.
+ * The day's length in its market's time zone makes a DST change day
+ * expect 23 or 25 hours. Surplus periods are reported as well as missing ones.
+ * @param {Array} rows - Rows of one market area and delivery date
+ * @param {Object} options - Validation options, see validateRows
+ * @returns {string[]} Issues
+ */
+function checkDayPeriods(rows, options) {
+  const { 'Market Area': marketArea, 'Delivery Date': deliveryDate } = rows[0];
+  if (!marketArea || !isValidDate(deliveryDate)) {
+    return [];
+  }
+
+  const { granularity, expected, actual } = checkPeriodCount(rows, { deliveryDate, timeZone: timeZoneFor(marketArea), granularity: options.granularity });
+  if (options.expectedPeriodCounts) {
+    const count = granularity ? actual : rows.length;
+    return options.expectedPeriodCounts.includes(count)
+      ? []
+      : [`${count} periods, expected one of ${options.expectedPeriodCounts.join(', ')}`];
+  }
+  // A day whose granularity cannot be told is not counted, as in buildDayRows
+  return granularity && actual !== expected ? [`${actual} of ${expected} ${granularity} periods`] : [];
+}
+
+/**
+ * Checks whether any of the given fields has no value; comparison rules
+ * skip such rows and leave them to the prices-present rule
+ * @param {Object} row - Typed market data row
+ * @param {string[]} fields - Fields to check
+ * @returns {boolean} True when a field is null or undefined
+ */
+function anyMissing(row, fields) {
+  return fields.some((field) => row[field] === null || row[field] === undefined);
+}
+
+/**
+ * Gets the price fields of a row's market, see getMarketSchema
+ * @param {Object} row - Typed market data row
+ * @returns {string[]} Price fields
+ */
+function priceFieldsOf(row) {
+  return getMarketSchema(row.Market).priceFields;
+}
+
+/**
+ * Rules applied when no custom rule list is given
+ * @type {ValidationRule[]}
+ */
+export const DEFAULT_RULES = [
+  {
+    name: 'prices-present',
+    scope: 'row',
+    validate: (row) => {
+      const missing = priceFieldsOf(row).filter((field) => anyMissing(row, [field]));
+      return missing.length > 0 ? `missing ${missing.join(', ')}` : null;
+    }
+  },
+  {
+    name: 'weight-avg-within-range',
+    scope: 'row',
+    validate: (row) => {
+      if (anyMissing(row, ['Low', 'High', 'Weight Avg'])) return null;
+      return row['Weight Avg'] < row.Low || row['Weight Avg'] > row.High
+        ? `Weight Avg ${row['Weight Avg']} outside [Low ${row.Low}, High ${row.High}]`
+        : null;
+    }
+  },
+  {
+    name: 'last-within-range',
+    scope: 'row',
+    validate: (row) => {
+      if (anyMissing(row, ['Low', 'High', 'Last'])) return null;
+      return row.Last < row.Low || row.Last > row.High
+        ? `Last ${row.Last} outside [Low ${row.Low}, High ${row.High}]`
+        : null;
+    }
+  },
+  {
+    name: 'plausible-prices',
+    scope: 'row',
+    validate: (row, options) => {
+      const { MIN, MAX } = options.priceBounds || CONFIG.PRICE_BOUNDS;
+      const outliers = priceFieldsOf(row).filter((field) => !anyMissing(row, [field]) && (row[field] < MIN || row[field] > MAX));
+      return outliers.length > 0 ? `${outliers.join(', ')} outside plausible bounds [${MIN}, ${MAX}]` : null;
+    }
+  },
+  {
+    name: 'period-count',
+    scope: 'group',
+    validate: checkDayPeriods
+  }
+];
+
+/**
+ * Groups rows by market area and delivery date
+ * @param {Array} rows - Typed market data rows
+ * @returns {Array<Array>} Row groups in first-seen order
+ */
+function groupRows(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = `${row['Market Area'] ?? ''}|${row['Delivery Date'] ?? ''}|${row.Market ?? ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(row);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Validates typed rows. Rows failing a row rule are rejected; group rule
+ * issues are reported but keep their rows. The run fails when rejected rows
+ * plus group issues exceed the allowed share of all rows.
+ * @param {import('./parsing.js').MarketResultRow[]} rows - Rows from parseMarketRows
+ * @param {Object} [options] - Validation options
+ * @param {ValidationRule[]} [options.rules] - Rules to apply (defaults to DEFAULT_RULES)
+ * @param {ValidationRule[]} [options.extraRules] - Rules applied in addition to options.rules
+ * @param {{MIN: number, MAX: number}} [options.priceBounds] - Plausible price range (defaults to CONFIG.PRICE_BOUNDS)
+ * @param {string} [options.granularity] - Granularity periods are counted in, see checkPeriodCount (default: auto)
+ * @param {number[]} [options.expectedPeriodCounts] - Accepted numbers of periods per area and day,
+ *   instead of those of the day's length
+ * @param {number} [options.maxErrorRate] - Allowed error share, 0 to 1 (defaults to CONFIG.MAX_ERROR_RATE)
+ * @returns {{valid: Array, rejected: Array<{row: Object, rule: string, reason: string}>, issues: Array<{marketArea: string, deliveryDate: string, market: string, rule: string, reason: string}>, errorRate: number}}
+ *   Validation result
+ * @throws {ValidationError} When the error rate exceeds maxErrorRate
+ */
+export function validateRows(rows, options = {}) {
+  const rules = [...(options.rules || DEFAULT_RULES), ...(options.extraRules || [])];
+  const rowRules = rules.filter((rule) => rule.scope === 'row');
+  const groupRules = rules.filter((rule) => rule.scope === 'group');
+  const maxErrorRate = options.maxErrorRate ?? CONFIG.MAX_ERROR_RATE;
+
+  const valid = [];
+  const rejected = [];
+  for (const row of rows) {
+    const failures = rowRules
+      .map((rule) => ({ rule: rule.name, reason: rule.validate(row, options) }))
+      .filter((failure) => failure.reason);
+
+    if (failures.length === 0) {
+      valid.push(row);
+    } else {
+      rejected.push({
+        row,
+        rule: failures.map((failure) => failure.rule).join('; '),
+        reason: failures.map((failure) => failure.reason).join('; ')
+      });
+    }
+  }
+
+  const issues = [];
+  for (const group of groupRows(rows)) {
+    for (const rule of groupRules) {
+      for (const reason of rule.validate(group, options)) {
+        issues.push({
+          marketArea: group[0]['Market Area'],
+          deliveryDate: group[0]['Delivery Date'],
+          market: group[0].Market,
+          rule: rule.name,
+          reason
+        });
+      }
+    }
+  }
+
+  // Capped at 1 so that maxErrorRate 1 never fails, even when issues outnumber rows
+  const errorRate = rows.length === 0 ? 0 : Math.min(1, (rejected.length + issues.length) / rows.length);
+  const result = { valid, rejected, issues, errorRate };
+
+  if (errorRate > maxErrorRate) {
+    throw new ValidationError(
+      `Validation failed: ${rejected.length} rejected rows and ${issues.length} issues in ${rows.length} rows ` +
+      `(error rate ${(errorRate * 100).toFixed(1)}% above ${(maxErrorRate * 100).toFixed(1)}%)`,
+      result
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Writes rejected rows and group issues, with their reasons, to a CSV file
+ * next to the main output (e.g. market_data_rejected.csv), whatever the output format
+ * @param {Object} result - Result of validateRows
+ * @param {Object} [options] - Output options
+ * @param {string} [options.outputDir] - Output directory (defaults to CONFIG.OUTPUT_DIR)
+ * @param {string} [options.outputFile] - Main output file name or template the report is named after
+ * @param {string} [options.runTimestamp] - Run timestamp for templates, see resolveFileName
+ * @param {boolean} [options.noClobber] - Keep an existing report and write to a numbered name instead
+ * @returns {Promise<string|null>} Path of the report, or null when nothing was rejected
+ */
+export async function writeRejectionReport(result, options = {}) {
+  const entries = [
+    ...result.rejected.map(({ row, rule, reason }) => ({ ...row, Rule: rule, Reason: reason })),
+    ...result.issues.map(({ marketArea, deliveryDate, market, rule, reason }) => ({
+      'Market Area': marketArea,
+      'Delivery Date': deliveryDate,
+      Market: market,
+      Rule: rule,
+      Reason: reason
+    }))
+  ];
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const outputFile = resolveFileName(options.outputFile || CONFIG.OUTPUT_FILE, entries, options);
+  const { name } = path.parse(outputFile);
+  const markets = [...new Set(result.rejected.map(({ row }) => row.Market).filter(Boolean))];
+  const rowColumns = marketColumns(markets.length > 0 ? markets : undefined)
+    .filter((column) => !column.endsWith(' Unit'));
+  return writeToCSV(entries, {
+    outputDir: options.outputDir,
+    outputFile: `${name}_rejected.csv`,
+    noClobber: options.noClobber,
+    columns: ['Market Area', 'Delivery Date', 'Market', ...rowColumns, 'Rule', 'Reason']
+  });
+}
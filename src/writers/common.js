@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../config.js';
+
+/**
+ * Row fields written, in order, when no explicit column list is given
+ */
+export const DEFAULT_COLUMNS = ['Period', 'Period Start', 'Period End', 'Product', 'Low', 'High', 'Last', 'Weight Avg', 'Volume', 'Price Unit', 'Volume Unit'];
+
+/**
+ * Ensures output directory exists
+ * @param {string} [outputDir] - Directory to create, relative to the working directory
+ * @returns {string} Absolute path of the output directory
+ */
+export function ensureOutputDirectory(outputDir = CONFIG.OUTPUT_DIR) {
+  const outputPath = path.resolve(process.cwd(), outputDir);
+  if (!fs.existsSync(outputPath)) {
+    fs.mkdirSync(outputPath, { recursive: true });
+  }
+  return outputPath;
+}
+
+/**
+ * Resolves the file a writer should create, creating its directory
+ * @param {Object} options - Output options
+ * @param {string} [options.outputDir] - Output directory (defaults to CONFIG.OUTPUT_DIR)
+ * @param {string} [options.outputFile] - File name (defaults to CONFIG.OUTPUT_FILE)
+ * @returns {string} Absolute file path
+ */
+export function resolveOutputPath(options) {
+  return path.join(ensureOutputDirectory(options.outputDir), options.outputFile || CONFIG.OUTPUT_FILE);
+}
+
+/**
+ * Keeps only the given fields of a row, in column order; missing fields become null
+ * @param {Object} row - Market data row
+ * @param {string[]} columns - Fields to keep
+ * @returns {Object} Projected row
+ */
+export function projectRow(row, columns) {
+  return Object.fromEntries(columns.map((column) => [column, row[column] ?? null]));
+}
+
+/**
+ * Builds a hidden temporary path next to a file, unique per process and call,
+ * so the final rename stays on the same file system
+ * @param {string} filePath - File that will eventually be written
+ * @returns {string} Temporary file path
+ */
+export function tempPathFor(filePath) {
+  const { dir, base } = path.parse(filePath);
+  return path.join(dir, `.${base}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+}
+
+/**
+ * Moves a finished temporary file into place.
+ * Without noClobber the target is replaced atomically by a rename. With
+ * noClobber an existing file is never touched: the first free name of
+ * name.ext, name-1.ext, name-2.ext, ... is claimed with a hard link, which
+ * fails instead of overwriting when a concurrent run got there first.
+ * @param {string} tempPath - Fully written temporary file
+ * @param {string} filePath - Target path
+ * @param {Object} [options] - Commit options
+ * @param {boolean} [options.noClobber] - Keep existing files and pick a numbered name
+ * @returns {Promise<string>} Path the file was committed to
+ */
+export async function commitFile(tempPath, filePath, options = {}) {
+  if (!options.noClobber) {
+    await fs.promises.rename(tempPath, filePath);
+    return filePath;
+  }
+
+  const { dir, name, ext } = path.parse(filePath);
+  try {
+    for (let suffix = 0; ; suffix++) {
+      const candidate = suffix === 0 ? filePath : path.join(dir, `${name}-${suffix}${ext}`);
+      try {
+        await fs.promises.link(tempPath, candidate);
+        return candidate;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+    }
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+}
+
+/**
+ * Writes a file through a temporary file and a rename, so readers and
+ * concurrent runs never see a half-written file
+ * @param {string} filePath - Target path
+ * @param {function(string): Promise<void>|void} write - Writes the complete content to the given path
+ * @param {Object} [options] - Commit options, see commitFile
+ * @returns {Promise<string>} Path the file was committed to
+ */
+export async function writeAtomically(filePath, write, options = {}) {
+  const tempPath = tempPathFor(filePath);
+  try {
+    await write(tempPath);
+    return await commitFile(tempPath, filePath, options);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
@@ -0,0 +1,34 @@
+import { createObjectCsvWriter } from 'csv-writer';
+import { DEFAULT_COLUMNS, resolveOutputPath, writeAtomically } from './common.js';
+
+/**
+ * Writes market data to CSV file
+ * @param {Array} data - Array of market data objects
+ * @param {Object} [options] - Output options
+ * @param {string} [options.outputDir] - Output directory (defaults to CONFIG.OUTPUT_DIR)
+ * @param {string} [options.outputFile] - File name (defaults to CONFIG.OUTPUT_FILE)
+ * @param {string[]} [options.columns] - Row fields to write, in order (defaults to DEFAULT_COLUMNS)
+ * @param {boolean} [options.noClobber] - Keep an existing file and write to a numbered name instead
+ * @returns {Promise<string>} Path to the created CSV file
+ */
+export async function writeToCSV(data, options = {}) {
+  try {
+    if (data.length === 0) {
+      throw new Error('No data to write to CSV');
+    }
+
+    const filePath = await writeAtomically(resolveOutputPath(options), async (tempPath) => {
+      const csvWriter = createObjectCsvWriter({
+        path: tempPath,
+        header: (options.columns || DEFAULT_COLUMNS).map((column) => ({ id: column, title: column }))
+      });
+      await csvWriter.writeRecords(data);
+    }, options);
+    console.log(`✓ CSV file created successfully at: ${filePath}`);
+    return filePath;
+
+  } catch (error) {
+    console.error('Error writing to CSV:', error);
+    throw error;
+  }
+}
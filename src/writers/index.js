@@ -0,0 +1,66 @@
+import path from 'path';
+import { CONFIG } from '../config.js';
+import { writeToCSV } from './csv.js';
+import { writeToJSON, writeToNDJSON } from './json.js';
+import { writeToParquet } from './parquet.js';
+
+/**
+ * An output writer.
+ * Every writer takes the same typed rows and options (outputDir, outputFile,
+ * columns, metadata) and resolves to the path of the file it created.
+ * @typedef {Object} Writer
+ * @property {string} extension - File extension including the dot
+ * @property {(data: Array, options: Object) => Promise<string>} write - Writes the rows
+ * @property {boolean} [partitioned] - The writer splits rows by market area and delivery date itself
+ */
+
+/**
+ * Registered writers by format name
+ * @type {Object<string, Writer>}
+ */
+const WRITERS = {
+  csv: { extension: '.csv', write: writeToCSV },
+  json: { extension: '.json', write: writeToJSON },
+  ndjson: { extension: '.ndjson', write: writeToNDJSON },
+  parquet: { extension: '.parquet', write: writeToParquet, partitioned: true }
+};
+
+/**
+ * Registers an additional output format, or replaces an existing one
+ * @param {string} format - Format name, e.g. "xlsx"
+ * @param {Writer} writer - Writer implementation
+ */
+export function registerWriter(format, writer) {
+  WRITERS[format.toLowerCase()] = writer;
+}
+
+/**
+ * Lists the registered output formats
+ * @returns {string[]} Format names
+ */
+export function listFormats() {
+  return Object.keys(WRITERS);
+}
+
+/**
+ * Looks up the writer for an output format
+ * @param {string} [format] - Format name (defaults to csv)
+ * @returns {Writer} The writer
+ * @throws {Error} When no writer is registered for the format
+ */
+export function getWriter(format = 'csv') {
+  const writer = WRITERS[format.toLowerCase()];
+  if (!writer) {
+    throw new Error(`Unsupported format "${format}" (expected one of: ${listFormats().join(', ')})`);
+  }
+  return writer;
+}
+
+/**
+ * Gets the default output file name for a format
+ * @param {string} [format] - Format name (defaults to csv)
+ * @returns {string} CONFIG.OUTPUT_FILE with the format's extension, e.g. market_data.json
+ */
+export function defaultOutputFile(format = 'csv') {
+  return `${path.parse(CONFIG.OUTPUT_FILE).name}${getWriter(format).extension}`;
+}
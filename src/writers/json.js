@@ -0,0 +1,80 @@
+import fs from 'fs';
+import { DEFAULT_COLUMNS, projectRow, resolveOutputPath, writeAtomically } from './common.js';
+
+/**
+ * Builds the run metadata stored alongside JSON rows
+ * @param {Array} data - Rows being written
+ * @param {Object} [metadata] - Caller supplied metadata, e.g. market areas and dates
+ * @returns {Object} Metadata object
+ */
+function buildMetadata(data, metadata = {}) {
+  return {
+    generatedAt: new Date().toISOString(),
+    rowCount: data.length,
+    ...metadata
+  };
+}
+
+/**
+ * Writes market data to a JSON file holding run metadata and the row array
+ * @param {Array} data - Array of market data objects
+ * @param {Object} [options] - Output options
+ * @param {string} [options.outputDir] - Output directory (defaults to CONFIG.OUTPUT_DIR)
+ * @param {string} [options.outputFile] - File name (defaults to CONFIG.OUTPUT_FILE)
+ * @param {string[]} [options.columns] - Row fields to write, in order (defaults to DEFAULT_COLUMNS)
+ * @param {Object} [options.metadata] - Extra run metadata merged into the "metadata" object
+ * @param {boolean} [options.noClobber] - Keep an existing file and write to a numbered name instead
+ * @returns {Promise<string>} Path to the created JSON file
+ */
+export async function writeToJSON(data, options = {}) {
+  try {
+    if (data.length === 0) {
+      throw new Error('No data to write to JSON');
+    }
+
+    const columns = options.columns || DEFAULT_COLUMNS;
+    const document = {
+      metadata: buildMetadata(data, options.metadata),
+      rows: data.map((row) => projectRow(row, columns))
+    };
+
+    const filePath = await writeAtomically(resolveOutputPath(options),
+      (tempPath) => fs.promises.writeFile(tempPath, `${JSON.stringify(document, null, 2)}\n`), options);
+    console.log(`✓ JSON file created successfully at: ${filePath}`);
+    return filePath;
+
+  } catch (error) {
+    console.error('Error writing to JSON:', error);
+    throw error;
+  }
+}
+
+/**
+ * Writes market data as newline-delimited JSON, one row object per line
+ * @param {Array} data - Array of market data objects
+ * @param {Object} [options] - Output options
+ * @param {string} [options.outputDir] - Output directory (defaults to CONFIG.OUTPUT_DIR)
+ * @param {string} [options.outputFile] - File name (defaults to CONFIG.OUTPUT_FILE)
+ * @param {string[]} [options.columns] - Row fields to write, in order (defaults to DEFAULT_COLUMNS)
+ * @param {boolean} [options.noClobber] - Keep an existing file and write to a numbered name instead
+ * @returns {Promise<string>} Path to the created NDJSON file
+ */
+export async function writeToNDJSON(data, options = {}) {
+  try {
+    if (data.length === 0) {
+      throw new Error('No data to write to NDJSON');
+    }
+
+    const columns = options.columns || DEFAULT_COLUMNS;
+    const lines = data.map((row) => JSON.stringify(projectRow(row, columns)));
+
+    const filePath = await writeAtomically(resolveOutputPath(options),
+      (tempPath) => fs.promises.writeFile(tempPath, `${lines.join('\n')}\n`), options);
+    console.log(`✓ NDJSON file created successfully at: ${filePath}`);
+    return filePath;
+
+  } catch (error) {
+    console.error('Error writing to NDJSON:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,125 @@
+import fs from 'fs';
+import path from 'path';
+import { parquetWriteFile } from 'hyparquet-writer';
+import { timeZoneFor } from '../markets.js';
+import { periodBounds } from '../time.js';
+import { ensureOutputDirectory, resolveOutputPath, writeAtomically } from './common.js';
+
+/**
+ * Parquet columns: name, type and how to read the value from a typed row.
+ * Every market writes the same schema; fields a market does not publish are null.
+ * Market area and delivery date double as partition keys and are left out
+ * of partitioned files (see PARTITION_COLUMNS).
+ */
+const PARQUET_COLUMNS = [
+  { name: 'market_area', type: 'STRING', value: (row) => row['Market Area'] ?? null },
+  { name: 'delivery_date', type: 'STRING', value: (row) => row['Delivery Date'] ?? null },
+  { name: 'market', type: 'STRING', value: (row) => row.Market ?? null },
+  { name: 'period', type: 'STRING', value: (row) => row.Period ?? null },
+  { name: 'period_start', type: 'TIMESTAMP', value: (row, bounds) => bounds.start },
+  { name: 'period_end', type: 'TIMESTAMP', value: (row, bounds) => bounds.end },
+  { name: 'product', type: 'STRING', value: (row) => row.Product || null },
+  { name: 'low', type: 'DOUBLE', value: (row) => row.Low ?? null },
+  { name: 'high', type: 'DOUBLE', value: (row) => row.High ?? null },
+  { name: 'last', type: 'DOUBLE', value: (row) => row.Last ?? null },
+  { name: 'weight_avg', type: 'DOUBLE', value: (row) => row['Weight Avg'] ?? null },
+  { name: 'price', type: 'DOUBLE', value: (row) => row.Price ?? null },
+  { name: 'buy_volume', type: 'DOUBLE', value: (row) => row['Buy Volume'] ?? null },
+  { name: 'sell_volume', type: 'DOUBLE', value: (row) => row['Sell Volume'] ?? null },
+  { name: 'volume', type: 'DOUBLE', value: (row) => row.Volume ?? null },
+  { name: 'price_unit', type: 'STRING', value: (row) => row['Price Unit'] ?? null },
+  { name: 'volume_unit', type: 'STRING', value: (row) => row['Volume Unit'] ?? null }
+];
+
+/**
+ * Columns encoded in the directory names of a partitioned dataset, outermost first
+ */
+const PARTITION_COLUMNS = [
+  { name: 'delivery_date', field: 'Delivery Date' },
+  { name: 'market_area', field: 'Market Area' }
+];
+
+/**
+ * Writes rows to one Parquet file
+ * @param {Array} rows - Typed market data rows
+ * @param {string} filePath - File to create
+ * @param {Object[]} columns - Entries of PARQUET_COLUMNS to write
+ */
+function writeParquetFile(rows, filePath, columns) {
+  const bounds = rows.map((row) => {
+    if (row['Period Start']) {
+      return { start: new Date(row['Period Start']), end: row['Period End'] ? new Date(row['Period End']) : null };
+    }
+    return row['Delivery Date'] && row.Period
+      ? periodBounds(row['Delivery Date'], row.Period, timeZoneFor(row['Market Area']))
+      : { start: null, end: null };
+  });
+
+  parquetWriteFile({
+    filename: filePath,
+    columnData: columns.map((column) => ({
+      name: column.name,
+      type: column.type,
+      data: rows.map((row, index) => column.value(row, bounds[index]))
+    }))
+  });
+}
+
+/**
+ * Writes market data to Parquet.
+ * By default the rows form a Hive-style dataset partitioned by delivery date
+ * and market area, e.g. output/market_data/delivery_date=2026-01-26/market_area=GB/part-0.parquet;
+ * rewriting a partition replaces it, unless noClobber keeps its file and adds part-0-1.parquet etc.
+ * Every file is written to a temporary name and renamed into place.
+ * @param {Array} data - Array of typed market data rows
+ * @param {Object} [options] - Output options
+ * @param {string} [options.outputDir] - Output directory (defaults to CONFIG.OUTPUT_DIR)
+ * @param {string} [options.outputFile] - File name; the dataset directory is named after it without extension
+ * @param {boolean} [options.partitioned] - Write a partitioned dataset (default true) or a single file
+ * @param {boolean} [options.noClobber] - Keep existing files and write to numbered names instead
+ * @returns {Promise<string>} Path to the dataset directory, or to the file when not partitioned
+ */
+export async function writeToParquet(data, options = {}) {
+  try {
+    if (data.length === 0) {
+      throw new Error('No data to write to Parquet');
+    }
+
+    if (options.partitioned === false) {
+      const filePath = await writeAtomically(resolveOutputPath(options),
+        (tempPath) => writeParquetFile(data, tempPath, PARQUET_COLUMNS), options);
+      console.log(`✓ Parquet file created successfully at: ${filePath}`);
+      return filePath;
+    }
+
+    const { name } = path.parse(resolveOutputPath(options));
+    const datasetDir = path.join(ensureOutputDirectory(options.outputDir), name);
+    const partitionNames = PARTITION_COLUMNS.map((column) => column.name);
+    const fileColumns = PARQUET_COLUMNS.filter((column) => !partitionNames.includes(column.name));
+
+    const partitions = new Map();
+    for (const row of data) {
+      const partitionPath = PARTITION_COLUMNS
+        .map((column) => `${column.name}=${row[column.field] ?? '__HIVE_DEFAULT_PARTITION__'}`)
+        .join(path.sep);
+      if (!partitions.has(partitionPath)) {
+        partitions.set(partitionPath, []);
+      }
+      partitions.get(partitionPath).push(row);
+    }
+
+    for (const [partitionPath, rows] of partitions) {
+      const partitionDir = path.join(datasetDir, partitionPath);
+      fs.mkdirSync(partitionDir, { recursive: true });
+      await writeAtomically(path.join(partitionDir, 'part-0.parquet'),
+        (tempPath) => writeParquetFile(rows, tempPath, fileColumns), { noClobber: options.noClobber });
+    }
+
+    console.log(`✓ Parquet dataset created successfully at: ${datasetDir} (${partitions.size} partitions)`);
+    return datasetDir;
+
+  } catch (error) {
+    console.error('Error writing to Parquet:', error);
+    throw error;
+  }
+}
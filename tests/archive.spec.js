@@ -0,0 +1,65 @@
+import { test, expect } from '@playwright/test';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRunId, openSnapshotArchive } from '../src/archive.js';
+
+/**
+ * Builds a stand-in for a Playwright page showing fixed content
+ * @param {string} html - Page HTML
+ * @param {Buffer|Error} screenshot - Screenshot bytes, or the error taking it raises
+ * @returns {Object} Page with content() and screenshot()
+ */
+function fakePage(html, screenshot) {
+  return {
+    content: async () => html,
+    screenshot: async () => {
+      if (screenshot instanceof Error) throw screenshot;
+      return screenshot;
+    }
+  };
+}
+
+test.describe('snapshot archive', () => {
+  let archiveDir;
+
+  test.beforeEach(() => {
+    archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'epex-archive-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(archiveDir, { recursive: true, force: true });
+  });
+
+  test('creates sortable run ids', () => {
+    expect(createRunId(new Date('2026-01-27T08:15:00Z'))).toMatch(/^20260127T081500Z-[0-9a-f]{6}$/);
+  });
+
+  test('stores pages, responses and screenshots once by content hash', async () => {
+    const archive = openSnapshotArchive(archiveDir, { runId: 'run-1' });
+    const html = '<html><body><table></table></body></html>';
+    const response = { url: 'https://example.test/api', status: 200, contentType: 'application/json', body: '{"rows":[]}' };
+
+    const first = await archive.storePage(fakePage(html, Buffer.from('png')), {
+      url: 'https://example.test/?market_area=GB', marketArea: 'GB', deliveryDate: '2026-01-26', market: 'day-ahead', responses: [response]
+    });
+    const second = await archive.storePage(fakePage(html, new Error('page closed')), { url: 'https://example.test/?market_area=FR' });
+    const indexPath = await archive.close();
+
+    const sha256 = crypto.createHash('sha256').update(html).digest('hex');
+    expect(first.html).toEqual({ sha256, path: path.join('objects', sha256.slice(0, 2), `${sha256}.html`), bytes: html.length });
+    expect(fs.readFileSync(path.join(archiveDir, first.html.path), 'utf-8')).toBe(html);
+    expect(first.responses[0]).toMatchObject({ url: response.url, status: 200, contentType: 'application/json' });
+    expect(first.responses[0].path).toMatch(/\.json$/);
+    expect(second.html.path).toBe(first.html.path);
+    expect(second.errors).toEqual(['screenshot: page closed']);
+    expect(fs.readdirSync(path.join(archiveDir, 'objects')).flatMap((dir) => fs.readdirSync(path.join(archiveDir, 'objects', dir))))
+      .toHaveLength(3);
+
+    expect(indexPath).toBe(path.join(archiveDir, 'runs', 'run-1.json'));
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    expect(index.runId).toBe('run-1');
+    expect(index.pages.map((page) => page.marketArea)).toEqual(['GB', undefined]);
+  });
+});
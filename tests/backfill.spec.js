@@ -0,0 +1,160 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  fillGaps, findGaps, formatBackfillReport, listAreaDates, parseBackfillArgs, scanHistory, scanManifests
+} from '../src/backfill.js';
+import { EXIT_CODES } from '../src/cli.js';
+import { openHistoryStore } from '../src/history.js';
+
+/**
+ * Builds the hourly rows of a GB delivery day
+ * @param {string} deliveryDate - Delivery date (YYYY-MM-DD)
+ * @param {number} hours - Hours from midnight to include
+ * @returns {Object[]} Typed rows
+ */
+function hourlyRows(deliveryDate, hours) {
+  return Array.from({ length: hours }, (_, hour) => ({
+    'Market Area': 'GB',
+    'Delivery Date': deliveryDate,
+    Market: 'intraday-continuous',
+    Period: `${String(hour).padStart(2, '0')}:00 - ${String(hour + 1).padStart(2, '0')}:00`,
+    Low: 50,
+    High: 60,
+    Last: 55,
+    'Weight Avg': 55,
+    Volume: 10
+  }));
+}
+
+test.describe('Backfill', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'epex-backfill-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Writes an output file with a manifest listing the given pages
+   * @param {string} file - Output file name
+   * @param {Object[]} pages - Manifest pages
+   * @param {boolean} [keepOutput] - Also write the output file itself
+   */
+  function writeOutput(file, pages, keepOutput = true) {
+    if (keepOutput) {
+      fs.writeFileSync(path.join(dir, file), 'Period\n');
+    }
+    fs.writeFileSync(path.join(dir, `${file}.manifest.json`), JSON.stringify({ file, pages }));
+  }
+
+  test('finds missing and incomplete days from the output manifests', async () => {
+    const page = (marketArea, deliveryDate, periods, market = 'intraday-continuous') => ({ marketArea, deliveryDate, market, rows: 48, periods });
+    const complete = { granularity: 'half-hour', expected: 48, actual: 48, complete: true };
+    const incomplete = { granularity: 'half-hour', expected: 48, actual: 40, complete: false };
+    writeOutput('GB_2026-01-26.csv', [page('GB', '2026-01-26', complete)]);
+    writeOutput('GB_2026-01-27.csv', [page('GB', '2026-01-27', incomplete)]);
+    // Re-scraped later: the complete file wins
+    writeOutput('GB_2026-01-27-1.csv', [page('GB', '2026-01-27', complete)]);
+    writeOutput('GB_2026-01-28.csv', [page('GB', '2026-01-28', incomplete)]);
+    // Written before period counts were recorded
+    writeOutput('FR_2026-01-26.csv', [{ marketArea: 'FR', deliveryDate: '2026-01-26', market: 'intraday-continuous', rows: 96 }]);
+    // Other markets and deleted outputs do not count
+    writeOutput('day-ahead_FR_2026-01-27.csv', [page('FR', '2026-01-27', complete, 'day-ahead')]);
+    writeOutput('FR_2026-01-28.csv', [page('FR', '2026-01-28', complete)], false);
+
+    const coverage = await scanManifests(dir, { market: 'intraday-continuous' });
+    const gaps = findGaps(coverage, listAreaDates({ marketAreas: ['GB', 'FR'], startDate: '2026-01-26', endDate: '2026-01-28' }));
+
+    expect(gaps.map(({ marketArea, deliveryDate, reason }) => `${marketArea} ${deliveryDate} ${reason}`)).toEqual([
+      'GB 2026-01-28 incomplete', 'FR 2026-01-27 missing', 'FR 2026-01-28 missing'
+    ]);
+    expect(await scanManifests(path.join(dir, 'missing'))).toEqual(new Map());
+  });
+
+  test('finds missing and incomplete days in the history store', async () => {
+    const store = await openHistoryStore(path.join(dir, 'history.sqlite'));
+    try {
+      store.upsertRows([...hourlyRows('2026-01-26', 24), ...hourlyRows('2026-01-27', 20)]);
+      const coverage = scanHistory(store, { market: 'intraday-continuous', startDate: '2026-01-26', endDate: '2026-01-28' });
+      const gaps = findGaps(coverage, listAreaDates({ marketAreas: ['GB'], startDate: '2026-01-26', endDate: '2026-01-28' }));
+
+      expect(gaps).toEqual([
+        {
+          marketArea: 'GB',
+          deliveryDate: '2026-01-27',
+          reason: 'incomplete',
+          coverage: { granularity: 'hour', expected: 24, actual: 20, complete: false }
+        },
+        { marketArea: 'GB', deliveryDate: '2026-01-28', reason: 'missing', coverage: null }
+      ]);
+      expect(findGaps(scanHistory(store, { market: 'day-ahead', startDate: '2026-01-26', endDate: '2026-01-26' }),
+        new Map([['GB', ['2026-01-26']]]))).toHaveLength(1);
+    } finally {
+      await store.close();
+    }
+  });
+
+  test('scrapes each gap once, at most concurrency at a time, and reports the outcome', async () => {
+    const gaps = findGaps(new Map(), listAreaDates({ marketAreas: ['GB', 'FR'], startDate: '2026-01-26', endDate: '2026-01-27' }));
+    const calls = [];
+    let running = 0;
+    let mostRunning = 0;
+    const runJob = async (argv) => {
+      calls.push(argv);
+      mostRunning = Math.max(mostRunning, ++running);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      running--;
+      return argv.includes('FR') && argv.includes('2026-01-27') ? EXIT_CODES.INCOMPLETE : EXIT_CODES.SUCCESS;
+    };
+
+    const results = await fillGaps(gaps, { market: 'day-ahead', args: ['--output', 'data/{deliveryDate}.json'], concurrency: 2, runJob });
+
+    expect(mostRunning).toBe(2);
+    expect(calls).toHaveLength(4);
+    expect(calls[0]).toEqual(['--market', 'day-ahead', '--market-area', 'GB', '--date', '2026-01-26', '--require-complete', '--output', 'data/{deliveryDate}.json']);
+    expect(results.map((result) => result.filled)).toEqual([true, true, true, false]);
+    expect(formatBackfillReport(results)).toBe([
+      '📍 Backfill: 3 of 4 gaps filled',
+      '   ✓ GB 2026-01-26 (missing)',
+      '   ✓ GB 2026-01-27 (missing)',
+      '   ✓ FR 2026-01-26 (missing)',
+      '   ❌ FR 2026-01-27 (missing): exit code 7'
+    ].join('\n'));
+  });
+
+  test('parses the range, the coverage source and the options passed to epex-scrape', () => {
+    const options = parseBackfillArgs([
+      '--market', 'day-ahead', '-m', 'DE-LU,FR', '--from', '2026-01-01', '--to', '2026-01-31',
+      '--history', 'output/history.sqlite', '-c', '3', '--', '--format', 'parquet'
+    ]);
+
+    expect(options).toMatchObject({ market: 'day-ahead', marketAreas: ['DE-LU', 'FR'], concurrency: 3, dryRun: false });
+    expect(options.deliveryDatesByArea.get('FR')).toHaveLength(31);
+    expect(options.args).toEqual([
+      '--history', 'output/history.sqlite',
+      '--output', path.join('output', '{market}_{marketArea}_{deliveryDate}.{format}'),
+      '--format', 'parquet'
+    ]);
+    expect(parseBackfillArgs(['--from', '2026-01-01', '--to', '2026-01-02', '--', '-o', 'data/{deliveryDate}.csv']))
+      .toMatchObject({ outputDir: 'data', args: ['-o', 'data/{deliveryDate}.csv'] });
+
+    // Without --to each area is checked up to yesterday in its own time zone
+    const now = new Date('2026-01-27T23:30:00Z');
+    expect(listAreaDates({ marketAreas: ['GB', 'FR'], startDate: '2026-01-25', now })).toEqual(new Map([
+      ['GB', ['2026-01-25', '2026-01-26']],
+      ['FR', ['2026-01-25', '2026-01-26', '2026-01-27']]
+    ]));
+
+    expect(() => parseBackfillArgs([])).toThrow('--from is required');
+    expect(() => parseBackfillArgs(['--from', '2026-01-31', '--to', '2026-01-01'])).toThrow('is after end date');
+    expect(() => parseBackfillArgs(['--from', '2026-01-01', '--', '--market-area', 'FR'])).toThrow('set by epex-backfill');
+    expect(() => parseBackfillArgs(['--from', '2026-01-01', '--', '--retries', '0'])).toThrow('Invalid epex-scrape option');
+    expect(() => parseBackfillArgs(['--from', '2026-01-01', '--output-dir', 'data', '--', '--output', 'other/{deliveryDate}.csv']))
+      .toThrow('--output-dir cannot be combined');
+  });
+});
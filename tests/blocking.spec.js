@@ -0,0 +1,62 @@
+import { test, expect } from '@playwright/test';
+import { assertNotBlocked, detectBlock } from '../src/blocking.js';
+import { BlockedError } from '../src/errors.js';
+
+const RESULTS_PAGE = `<html><head><title>Market Results | EPEX SPOT</title></head><body>
+  <form class="newsletter"><div class="g-recaptcha"></div></form>
+  <table><tbody><tr><td>00:00 - 01:00</td><td>403.00</td><td>1,403.5</td></tr></tbody></table>
+  <p>Error 403 is not an error here</p>
+</body></html>`;
+
+const CLOUDFLARE_CHALLENGE = `<html><head><title>Just a moment...</title></head><body>
+  <div id="challenge-form"></div><script>window._cf_chl_opt = { cType: 'managed' };</script>
+</body></html>`;
+
+test.describe('Block detection', () => {
+  test('accepts a results page whatever numbers it shows', () => {
+    expect(detectBlock({ status: 200, headers: { server: 'nginx' }, urls: ['https://www.epexspot.com/en/market-results'], html: RESULTS_PAGE })).toBeNull();
+  });
+
+  test('recognises refusing statuses', () => {
+    expect(detectBlock({ status: 403, html: '<html></html>' })).toMatchObject({ signal: 'status', provider: null, status: 403 });
+    expect(detectBlock({ status: 451 })).toMatchObject({ signal: 'status' });
+  });
+
+  test('recognises challenge headers before the status', () => {
+    expect(detectBlock({ status: 403, headers: { 'cf-mitigated': 'challenge' } }))
+      .toMatchObject({ signal: 'header', provider: 'cloudflare', detail: 'cf-mitigated: challenge' });
+    expect(detectBlock({ status: 403, headers: { server: 'AkamaiGHost' } })).toMatchObject({ provider: 'akamai' });
+    expect(detectBlock({ status: 200, headers: { server: 'AkamaiGHost' } })).toBeNull();
+  });
+
+  test('recognises challenge pages served with 200', () => {
+    expect(detectBlock({ status: 200, html: CLOUDFLARE_CHALLENGE })).toMatchObject({ signal: 'marker', provider: 'cloudflare' });
+    expect(detectBlock({ status: 200, html: '<script src="https://geo.captcha-delivery.com/captcha/"></script>' }))
+      .toMatchObject({ provider: 'datadome' });
+    expect(detectBlock({ status: 200, title: 'Pardon Our Interruption' })).toMatchObject({ signal: 'title', provider: 'imperva' });
+    expect(detectBlock({ status: 200, html: '<title>Access Denied</title>' })).toMatchObject({ signal: 'title' });
+  });
+
+  test('recognises redirects through a challenge page', () => {
+    const urls = ['https://www.epexspot.com/en/market-results', 'https://www.epexspot.com/challenge?return=%2Fen'];
+    expect(detectBlock({ status: 200, urls, html: '<html></html>' })).toMatchObject({ signal: 'url', detail: urls[1], url: urls[1] });
+  });
+
+  test('raises a BlockedError carrying the detection', async () => {
+    const page = {
+      url: () => 'https://www.epexspot.com/en/market-results',
+      title: async () => 'Just a moment...',
+      content: async () => CLOUDFLARE_CHALLENGE
+    };
+    const response = {
+      status: () => 503,
+      allHeaders: async () => ({ 'cf-mitigated': 'challenge' }),
+      request: () => ({ url: () => 'https://www.epexspot.com/en/market-results', redirectedFrom: () => null })
+    };
+
+    const error = await assertNotBlocked(page, response).catch((caught) => caught);
+    expect(error).toBeInstanceOf(BlockedError);
+    expect(error.message).toContain('cloudflare');
+    expect(error.detection).toMatchObject({ signal: 'header', status: 503, url: 'https://www.epexspot.com/en/market-results' });
+  });
+});
@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test';
+import { resolveSource, rowsFromResponses, tablesFromJson } from '../src/capture.js';
+
+test.describe('network capture', () => {
+  test('finds arrays of records and HTML fragments in JSON responses', () => {
+    const { tables, fragments } = tablesFromJson({
+      meta: { date: '2026-01-26' },
+      data: { rows: [{ period: '00:00', weightAvg: 46.82, volume: null }] },
+      commands: [{ command: 'insert', data: '<table><tr><td>00:00</td></tr></table>' }]
+    });
+
+    expect(tables[0]).toEqual({ headers: ['period', 'weight Avg', 'volume'], rows: [['00:00', '46.82', '']] });
+    expect(fragments).toEqual(['<table><tr><td>00:00</td></tr></table>']);
+  });
+
+  test('builds rows from the responses holding a results table', () => {
+    const json = (data) => ({ url: 'https://example.test/api', contentType: 'application/json', body: JSON.stringify(data) });
+    const hour = (Period, price) => ({ Period, Low: price - 1, High: price + 1, Last: price, weight_avg: price, Volume: 100 });
+
+    const html = (body) => ({ url: 'https://example.test/ajax', contentType: 'text/html', body });
+
+    const rows = rowsFromResponses([
+      json({ menu: [{ label: 'Home', href: '/' }] }),
+      json({ results: [hour('00:00', 45), hour('01:00', 46)] }),
+      json({ results: [hour('01:00', 46), hour('02:00', 47)] }),
+      { url: 'https://example.test/broken', contentType: 'application/json', body: '{' },
+      html('<ul><li><a href="/">Home</a></li></ul><table><tr><td>Menu</td></tr></table>'),
+      json({ command: 'insert', data: `<table><thead><tr><th>Period</th><th>Low</th><th>High</th><th>Last</th><th>Weight Avg</th>
+        <th>Volume</th></tr></thead><tbody><tr><td>03:00</td><td>47</td><td>49</td><td>48</td><td>48</td><td>90</td></tr></tbody></table>` })
+    ]);
+
+    expect(rows.map((row) => row.Period)).toEqual(['00:00', '01:00', '02:00', '03:00']);
+    expect(rows[3]).toMatchObject({ Low: '47', 'Weight Avg': '48', Volume: '90' });
+    expect(rows[0]).toMatchObject({ Low: '44', High: '46', Last: '45', 'Weight Avg': '45', Volume: '100' });
+  });
+
+  test('rejects unknown sources', () => {
+    expect(resolveSource()).toBe('dom');
+    expect(resolveSource({ source: 'Network' })).toBe('network');
+    expect(() => resolveSource({ source: 'api' })).toThrow('Unknown source "api"');
+  });
+});
@@ -0,0 +1,117 @@
+import { test, expect } from '@playwright/test';
+import { parseCliArgs, exitCodeFor, EXIT_CODES } from '../src/cli.js';
+import {
+  BlockedError, EmptyResultError, IncompleteResultError, ParseError, RateLimitedError, ServerError, ValidationError
+} from '../src/errors.js';
+
+test.describe('epex-scrape argument parsing', () => {
+  test('uses defaults when no arguments are given', () => {
+    const options = parseCliArgs([]);
+    expect(options.marketAreas).toEqual(['GB']);
+    expect(options.concurrency).toBe(1);
+    // Left to scrapeMarketRun, which takes yesterday in each area's own time zone
+    expect(options.deliveryDates).toBeNull();
+    expect(options.format).toBe('csv');
+    expect(options.headless).toBe(true);
+    expect(options.market).toBe('intraday-continuous');
+  });
+
+  test('selects the market modality', () => {
+    expect(parseCliArgs(['--market', 'Day-Ahead']).market).toBe('day-ahead');
+  });
+
+  test('selects the granularity and hourly aggregation', () => {
+    expect(parseCliArgs([])).toMatchObject({ granularity: 'auto', hourly: false });
+    expect(parseCliArgs(['--granularity', 'quarter-hour', '--hourly'])).toMatchObject({ granularity: 'quarter-hour', hourly: true });
+    expect(parseCliArgs(['--require-complete'])).toMatchObject({ requireComplete: true });
+  });
+
+  test('sets the retry attempts and time budget', () => {
+    expect(parseCliArgs([])).toMatchObject({ retryAttempts: 3, retryBudget: 180000 });
+    expect(parseCliArgs(['--retries', '5', '--retry-budget', '90'])).toMatchObject({ retryAttempts: 5, retryBudget: 90000 });
+  });
+
+  test('sets how the browser presents itself', () => {
+    expect(parseCliArgs([])).toMatchObject({ userAgent: null, locale: null, proxy: null, storageState: null, dismissCookies: true });
+    expect(parseCliArgs([
+      '--user-agent', 'Mozilla/5.0', '--locale', 'en-GB', '--timezone', 'Europe/London',
+      '--proxy', 'http://proxy.local:3128', '--storage-state', 'output/state.json', '--no-dismiss-cookies'
+    ])).toMatchObject({
+      userAgent: 'Mozilla/5.0',
+      locale: 'en-GB',
+      timezoneId: 'Europe/London',
+      proxy: 'http://proxy.local:3128',
+      storageState: 'output/state.json',
+      dismissCookies: false
+    });
+  });
+
+  test('selects where rows are read from', () => {
+    expect(parseCliArgs([]).source).toBe('dom');
+    expect(parseCliArgs(['--source', 'network']).source).toBe('network');
+    expect(() => parseCliArgs(['--source', 'api'])).toThrow('Unknown source');
+  });
+
+  test('expands a date range into one entry per day', () => {
+    const options = parseCliArgs(['--from', '2026-02-27', '--to', '2026-03-02', '-m', 'FR']);
+    expect(options.marketAreas).toEqual(['FR']);
+    expect(options.deliveryDates).toEqual(['2026-02-27', '2026-02-28', '2026-03-01', '2026-03-02']);
+    expect(parseCliArgs(['-d', '2026-02-27']).deliveryDates).toEqual(['2026-02-27']);
+  });
+
+  test('accepts a comma-separated list of market areas', () => {
+    const options = parseCliArgs(['-m', 'de-lu, FR,NO1', '--concurrency', '2']);
+    expect(options.marketAreas).toEqual(['DE-LU', 'FR', 'NO1']);
+    expect(options.concurrency).toBe(2);
+  });
+
+  test('accepts output file name templates and --no-clobber', () => {
+    const options = parseCliArgs(['-o', 'out/{marketArea}_{deliveryDate}_{runTimestamp}.{format}', '--no-clobber']);
+    expect(options.output).toBe('out/{marketArea}_{deliveryDate}_{runTimestamp}.{format}');
+    expect(options.noClobber).toBe(true);
+  });
+
+  test('rejects invalid combinations and values', () => {
+    const invalid = [
+      ['--date', '2026-01-01', '--from', '2026-01-01', '--to', '2026-01-02'],
+      ['--from', '2026-01-01'],
+      ['--date', '2026-02-30'],
+      ['--from', '2026-01-02', '--to', '2026-01-01'],
+      ['--format', 'xml'],
+      ['--market-area', 'XX'],
+      ['--concurrency', '0'],
+      ['--retries', '0'],
+      ['--timezone', 'Mars/Olympus'],
+      ['--proxy', 'ftp://proxy.local'],
+      ['--retry-budget', 'soon'],
+      ['--max-error-rate', '2'],
+      ['--market', 'futures'],
+      ['--granularity', '5min'],
+      ['--output', 'output/data_{area}.csv'],
+      ['--unknown']
+    ];
+    for (const argv of invalid) {
+      let error;
+      try {
+        parseCliArgs(argv);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error, argv.join(' ')).toBeDefined();
+      expect(exitCodeFor(error)).toBe(EXIT_CODES.USAGE);
+    }
+  });
+});
+
+test.describe('epex-scrape exit codes', () => {
+  test('maps scraper errors to distinct exit codes', () => {
+    expect(exitCodeFor(new BlockedError('blocked'))).toBe(EXIT_CODES.BLOCKED);
+    expect(exitCodeFor(new EmptyResultError('empty'))).toBe(EXIT_CODES.EMPTY);
+    expect(exitCodeFor(new IncompleteResultError('incomplete'))).toBe(EXIT_CODES.INCOMPLETE);
+    expect(exitCodeFor(new ParseError('parse'))).toBe(EXIT_CODES.PARSE_FAILURE);
+    expect(exitCodeFor(new ValidationError('invalid', {}))).toBe(EXIT_CODES.VALIDATION_FAILED);
+    expect(exitCodeFor(new RateLimitedError('slow down', 5000))).toBe(EXIT_CODES.UNAVAILABLE);
+    expect(exitCodeFor(new ServerError('bad gateway', 502))).toBe(EXIT_CODES.UNAVAILABLE);
+    expect(exitCodeFor(new Error('boom'))).toBe(EXIT_CODES.FAILURE);
+  });
+});
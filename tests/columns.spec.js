@@ -0,0 +1,35 @@
+import { test, expect } from '@playwright/test';
+import { mapHeaderColumns, normalizeHeader } from '../src/columns.js';
+import { MissingColumnError } from '../src/errors.js';
+
+test.describe('header column mapping', () => {
+  test('normalises accents, units and punctuation', () => {
+    expect(normalizeHeader('Moyenne pondérée (€/MWh)')).toBe('moyenne ponderee');
+    expect(normalizeHeader('  Weight Avg. ')).toBe('weight avg');
+  });
+
+  test('follows the header order instead of fixed indexes', () => {
+    const columns = mapHeaderColumns(['Weight Avg', 'Time', 'High', 'Low', 'Last']);
+    expect(columns).toEqual({ 'Weight Avg': 0, Period: 1, High: 2, Low: 3, Last: 4 });
+  });
+
+  test('recognises German and French headers', () => {
+    expect(mapHeaderColumns(['Zeit', 'Produkt', 'Tief', 'Hoch', 'Letzter', 'Gewichteter Durchschnitt', 'Volumen']))
+      .toEqual({ Period: 0, Product: 1, Low: 2, High: 3, Last: 4, 'Weight Avg': 5, Volume: 6 });
+    expect(mapHeaderColumns(['Heure', 'Produit', 'Bas', 'Haut', 'Dernier', 'Moyenne pondérée', 'Volume']))
+      .toEqual({ Period: 0, Product: 1, Low: 2, High: 3, Last: 4, 'Weight Avg': 5, Volume: 6 });
+  });
+
+  test('accepts extra aliases', () => {
+    const columns = mapHeaderColumns(['Slot', 'Low', 'High', 'Last', 'VWAP'], {
+      columnAliases: { Period: ['Slot'], 'Weight Avg': ['VWAP'] }
+    });
+    expect(columns.Period).toBe(0);
+    expect(columns['Weight Avg']).toBe(4);
+  });
+
+  test('fails loudly when a required column is missing', () => {
+    expect(() => mapHeaderColumns(['Time', 'Low', 'High', 'Weight Avg'])).toThrow(MissingColumnError);
+    expect(() => mapHeaderColumns([])).toThrow('Required column(s) missing from table header: Period, Low, High, Last, Weight Avg');
+  });
+});
@@ -0,0 +1,56 @@
+import { test, expect } from '@playwright/test';
+import { nextCronTime, parseCron } from '../src/cron.js';
+
+test.describe('Cron expressions', () => {
+  test('parses values, ranges, lists, steps and names', () => {
+    const schedule = parseCron('*/15 8-10,18 * jan-mar mon-fri');
+
+    expect(schedule.minutes).toEqual([0, 15, 30, 45]);
+    expect(schedule.hours).toEqual([8, 9, 10, 18]);
+    expect([...schedule.months]).toEqual([1, 2, 3]);
+    expect([...schedule.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect([...parseCron('0 0 * * 7').daysOfWeek]).toEqual([0]);
+    expect(parseCron('@daily').minutes).toEqual([0]);
+  });
+
+  test('rejects invalid expressions', () => {
+    expect(() => parseCron('45 12 * *')).toThrow('expected 5 fields');
+    expect(() => parseCron('60 12 * * *')).toThrow('Invalid minute "60"');
+    expect(() => parseCron('0 12 * * fun')).toThrow('Invalid day of week');
+    expect(() => parseCron('0 12-8 * * *')).toThrow('Invalid range');
+    expect(() => parseCron('*/0 * * * *')).toThrow('Invalid step');
+    expect(() => nextCronTime('0 0 31 2 *', 0, 'UTC')).toThrow('never runs');
+  });
+
+  test('finds the next run in the schedule time zone', () => {
+    const after = new Date('2026-01-26T11:00:00Z');
+
+    // 12:45 CET is 11:45 UTC in winter
+    expect(nextCronTime('45 12 * * *', after, 'Europe/Berlin').toISOString()).toBe('2026-01-26T11:45:00.000Z');
+    expect(nextCronTime('45 12 * * *', new Date('2026-01-26T11:45:00Z'), 'Europe/Berlin').toISOString())
+      .toBe('2026-01-27T11:45:00.000Z');
+    // 12:45 CEST is 10:45 UTC in summer
+    expect(nextCronTime('45 12 * * *', new Date('2026-07-01T00:00:00Z'), 'Europe/Berlin').toISOString())
+      .toBe('2026-07-01T10:45:00.000Z');
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // 2026-02-01 is a Sunday, 2026-02-02 a Monday
+    const schedule = parseCron('0 6 15 * mon');
+    expect(nextCronTime(schedule, new Date('2026-02-01T00:00:00Z'), 'UTC').toISOString()).toBe('2026-02-02T06:00:00.000Z');
+    expect(nextCronTime(schedule, new Date('2026-02-10T00:00:00Z'), 'UTC').toISOString()).toBe('2026-02-15T06:00:00.000Z');
+    // A stepped "*" is not a restriction: odd days that are also Mondays
+    expect(nextCronTime('0 6 */2 * mon', new Date('2026-02-01T00:00:00Z'), 'UTC').toISOString()).toBe('2026-02-09T06:00:00.000Z');
+  });
+
+  test('runs once on daylight saving time changes', () => {
+    // Summer time starts on 2026-03-29 at 02:00 and ends on 2026-10-25 at 03:00 in Berlin
+    const spring = nextCronTime('30 2 * * *', new Date('2026-03-28T12:00:00Z'), 'Europe/Berlin');
+    expect(spring.getTime()).toBeGreaterThan(Date.parse('2026-03-28T12:00:00Z'));
+    expect(spring.getTime()).toBeLessThan(Date.parse('2026-03-29T02:00:00Z'));
+
+    const autumn = nextCronTime('30 2 * * *', new Date('2026-10-24T12:00:00Z'), 'Europe/Berlin');
+    expect(autumn.toISOString()).toBe('2026-10-25T00:30:00.000Z');
+    expect(nextCronTime('30 2 * * *', autumn, 'Europe/Berlin').toISOString()).toBe('2026-10-26T01:30:00.000Z');
+  });
+});
@@ -0,0 +1,70 @@
+import { test, expect } from '@playwright/test';
+import { addDays, getYesterdayDate, isValidDate, listDates, resolveDeliveryDates } from '../src/dates.js';
+import { deliveryDayBounds, periodBounds, zonedDate, zonedTimeToUtc } from '../src/time.js';
+import { outputFileName } from '../src/output.js';
+
+test.describe('delivery date helpers', () => {
+  test('validates calendar dates', () => {
+    expect(isValidDate('2024-02-29')).toBe(true);
+    expect(isValidDate('2025-02-29')).toBe(false);
+    expect(isValidDate('2025-1-01')).toBe(false);
+  });
+
+  test('lists a range across a month boundary', () => {
+    expect(listDates('2026-01-30', '2026-02-02')).toEqual(['2026-01-30', '2026-01-31', '2026-02-01', '2026-02-02']);
+  });
+
+  test('resolves a single date, a range, or yesterday', () => {
+    expect(resolveDeliveryDates({ deliveryDate: '2026-01-26' })).toEqual(['2026-01-26']);
+    expect(resolveDeliveryDates({ startDate: '2026-01-26', endDate: '2026-01-27' })).toEqual(['2026-01-26', '2026-01-27']);
+    expect(resolveDeliveryDates({})).toHaveLength(1);
+    expect(() => resolveDeliveryDates({ deliveryDate: 'yesterday' })).toThrow('Invalid delivery date');
+  });
+
+  test('computes yesterday in the market area\'s time zone', () => {
+    // 23:30 UTC on 26 January is still the 26th in London but already the 27th in Berlin
+    const now = new Date('2026-01-26T23:30:00Z');
+    expect(getYesterdayDate({ marketArea: 'GB', now })).toBe('2026-01-25');
+    expect(getYesterdayDate({ marketArea: 'DE-LU', now })).toBe('2026-01-26');
+    expect(resolveDeliveryDates({ marketArea: 'FR', now })).toEqual(['2026-01-26']);
+
+    // 00:30 in London during BST is 23:30 UTC the day before
+    expect(zonedDate(new Date('2026-07-14T23:30:00Z'), 'Europe/London')).toBe('2026-07-15');
+  });
+
+  test('counts DST change days as single calendar days of 23 or 25 hours', () => {
+    expect(addDays('2026-03-30', -1)).toBe('2026-03-29');
+    expect(getYesterdayDate({ marketArea: 'DE-LU', now: new Date('2026-03-29T22:30:00Z') })).toBe('2026-03-29');
+    expect(getYesterdayDate({ marketArea: 'GB', now: new Date('2026-10-25T23:30:00Z') })).toBe('2026-10-24');
+
+    expect(deliveryDayBounds('2026-03-29', 'Europe/Berlin')).toEqual({
+      start: new Date('2026-03-28T23:00:00Z'),
+      end: new Date('2026-03-29T22:00:00Z'),
+      hours: 23
+    });
+    expect(deliveryDayBounds('2026-10-25', 'Europe/London').hours).toBe(25);
+    expect(deliveryDayBounds('2026-01-26', 'Europe/London').hours).toBe(24);
+  });
+
+  test('resolves either occurrence of a time repeated when summer time ends', () => {
+    expect(zonedTimeToUtc('2026-10-25', 1, 30, 'Europe/London')).toEqual(new Date('2026-10-25T00:30:00Z'));
+    expect(zonedTimeToUtc('2026-10-25', 1, 30, 'Europe/London', { later: true })).toEqual(new Date('2026-10-25T01:30:00Z'));
+    // Times that occur once are not moved
+    expect(zonedTimeToUtc('2026-10-25', 3, 0, 'Europe/London', { later: true })).toEqual(new Date('2026-10-25T03:00:00Z'));
+
+    expect(periodBounds('2026-10-25', '02:45 - 03:00', 'Europe/Berlin')).toEqual({
+      start: new Date('2026-10-25T00:45:00Z'),
+      end: new Date('2026-10-25T01:00:00Z')
+    });
+    expect(periodBounds('2026-10-25', '02:45 - 03:00', 'Europe/Berlin', undefined, { later: true })).toEqual({
+      start: new Date('2026-10-25T01:45:00Z'),
+      end: new Date('2026-10-25T02:00:00Z')
+    });
+    expect(periodBounds('2026-10-25', '23:00 - 00:00', 'Europe/Berlin').end).toEqual(new Date('2026-10-25T23:00:00Z'));
+  });
+
+  test('inserts market area and delivery date into per-day file names', () => {
+    expect(outputFileName('market_data.csv', { marketArea: 'GB', deliveryDate: '2026-01-26' }))
+      .toBe('market_data_GB_2026-01-26.csv');
+  });
+});
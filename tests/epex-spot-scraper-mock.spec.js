@@ -1,26 +1,14 @@
-import { test } from '@playwright/test';
+import { test, expect } from '@playwright/test';
 import fs from 'fs';
-import path from 'path';
-import { createObjectCsvWriter } from 'csv-writer';
 import http from 'http';
+import {
+  BlockedError, dismissCookieBanner, openMarketResults, scrapeMarketData, parseMarketRows, writeToCSV, captureResponses, rowsFromResponses
+} from '../src/index.js';
 
 /**
- * Configuration constants for the EPEX SPOT scraper
+ * Port for the local mock server
  */
-const CONFIG = {
-  LOCAL_PORT: 8765,
-  TABLE_SELECTOR: 'table tbody tr',
-  COLUMNS_TO_SCRAPE: {
-    LOW: 2,      // Column index for "Low"
-    HIGH: 3,     // Column index for "High"
-    LAST: 4,     // Column index for "Last"
-    WEIGHT_AVG: 5 // Column index for "Weight Avg"
-  },
-  OUTPUT_DIR: 'output',
-  OUTPUT_FILE: 'market_data.csv',
-  TIMEOUT: 30000,
-  RETRY_ATTEMPTS: 3
-};
+const LOCAL_PORT = 8765;
 
 /**
  * Mock HTML data representing EPEX SPOT market results
@@ -116,19 +104,109 @@ const MOCK_HTML = `
 </html>
 `;
 
+/**
+ * Mock results page that renders 24 hourly rows eight at a time,
+ * with a "Load more" button like a lazily loaded results table
+ */
+const PAGINATED_HTML = `
+<!DOCTYPE html>
+<html>
+<body>
+    <table>
+        <thead>
+            <tr><th>Time</th><th>Product</th><th>Low</th><th>High</th><th>Last</th><th>Weight Avg</th><th>Volume</th></tr>
+        </thead>
+        <tbody></tbody>
+    </table>
+    <button type="button">Load more</button>
+    <script>
+        let shown = 0;
+        const button = document.querySelector('button');
+        const loadMore = () => {
+            for (const hour of Array.from({ length: 8 }, (_, index) => shown + index)) {
+                const row = document.createElement('tr');
+                row.innerHTML = ['00', 'DE', '40.00', '50.00', '45.00', '44.00', '100']
+                    .map((value, index) => '<td>' + (index === 0 ? String(hour).padStart(2, '0') + ':00' : value) + '</td>')
+                    .join('');
+                document.querySelector('tbody').appendChild(row);
+            }
+            shown += 8;
+            button.disabled = shown >= 24;
+        };
+        button.addEventListener('click', () => setTimeout(loadMore, 100));
+        loadMore();
+    </script>
+</body>
+</html>
+`;
+
+/**
+ * Mock results page that renders nothing itself but fetches its rows as JSON
+ */
+const API_HTML = `
+<!DOCTYPE html>
+<html>
+<body>
+    <div id="results">Loading...</div>
+    <script>fetch('/api/results').then((response) => response.json());</script>
+</body>
+</html>
+`;
+
+/**
+ * JSON served to API_HTML
+ */
+/**
+ * Bot protection challenge served with 200 OK, as some providers do
+ */
+const CHALLENGE_HTML = `
+<!DOCTYPE html>
+<html>
+  <head><title>Just a moment...</title></head>
+  <body>
+    <div id="challenge-form"></div>
+    <script>window._cf_chl_opt = { cType: 'managed' };</script>
+  </body>
+</html>
+`;
+
+/**
+ * Results page covered by a cookie consent banner
+ */
+const CONSENT_HTML = MOCK_HTML.replace('<body>', `<body>
+    <div id="onetrust-banner-sdk" style="position: fixed; inset: 0; background: white;">
+      <button id="onetrust-accept-btn-handler" onclick="this.parentElement.remove()">Accept All Cookies</button>
+    </div>`);
+
+const API_RESULTS = {
+  deliveryDate: '2026-01-26',
+  rows: [
+    { period: '00:00', product: 'DE', low: 45.23, high: 48.75, last: 47.5, weightAvg: 46.82, volume: 1250 },
+    { period: '01:00', product: 'DE', low: 44.5, high: 47.8, last: 46.25, weightAvg: 45.95, volume: 1180 }
+  ]
+};
+
 /**
  * Starts a local HTTP server serving mock data
+ * @param {string} [html] - Page served for every request without a route (defaults to MOCK_HTML)
+ * @param {number} [port] - Port to listen on; tests running in parallel need their own
+ * @param {Object<string, Object>} [routes] - JSON bodies served per request path
  * @returns {Promise<{server: http.Server, url: string}>} Server instance and URL
  */
-function startMockServer() {
+function startMockServer(html = MOCK_HTML, port = LOCAL_PORT, routes = {}) {
   return new Promise((resolve, reject) => {
     const server = http.createServer((req, res) => {
+      if (routes[req.url]) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(routes[req.url]));
+        return;
+      }
       res.writeHead(200, { 'Content-Type': 'text/html' });
-      res.end(MOCK_HTML);
+      res.end(html);
     });
 
-    server.listen(CONFIG.LOCAL_PORT, 'localhost', () => {
-      const url = `http://localhost:${CONFIG.LOCAL_PORT}`;
+    server.listen(port, 'localhost', () => {
+      const url = `http://localhost:${port}`;
       console.log(`✓ Mock server started at ${url}`);
       resolve({ server, url });
     });
@@ -150,108 +228,6 @@ function stopMockServer(server) {
   });
 }
 
-/**
- * Scrapes market data from the page
- * @param {Page} page - Playwright page object
- * @returns {Array} Array of market data objects
- */
-async function scrapeMarketData(page) {
-  let retries = 0;
-  let rows = [];
-
-  while (retries < CONFIG.RETRY_ATTEMPTS && rows.length === 0) {
-    try {
-      // Wait for table to be visible
-      await page.waitForSelector(CONFIG.TABLE_SELECTOR, { 
-        timeout: CONFIG.TIMEOUT 
-      });
-
-      // Extract data from all rows
-      rows = await page.evaluate(({ selector, columnConfig }) => {
-        const tableRows = document.querySelectorAll(selector);
-        const data = [];
-
-        tableRows.forEach((row) => {
-          const cells = row.querySelectorAll('td');
-          
-          if (cells.length > columnConfig.WEIGHT_AVG) {
-            data.push({
-              Low: cells[columnConfig.LOW]?.textContent?.trim() || '',
-              High: cells[columnConfig.HIGH]?.textContent?.trim() || '',
-              Last: cells[columnConfig.LAST]?.textContent?.trim() || '',
-              'Weight Avg': cells[columnConfig.WEIGHT_AVG]?.textContent?.trim() || ''
-            });
-          }
-        });
-
-        return data;
-      }, { selector: CONFIG.TABLE_SELECTOR, columnConfig: CONFIG.COLUMNS_TO_SCRAPE });
-
-      if (rows.length === 0) {
-        throw new Error('No data rows found in table');
-      }
-
-    } catch (error) {
-      retries++;
-      console.warn(`Attempt ${retries} failed:`, error.message);
-      
-      if (retries < CONFIG.RETRY_ATTEMPTS) {
-        console.log('Retrying after 1 second...');
-        await page.waitForTimeout(1000);
-      } else {
-        throw new Error(`Failed to scrape data after ${CONFIG.RETRY_ATTEMPTS} attempts`);
-      }
-    }
-  }
-
-  return rows;
-}
-
-/**
- * Ensures output directory exists
- */
-function ensureOutputDirectory() {
-  const outputPath = path.join(process.cwd(), CONFIG.OUTPUT_DIR);
-  if (!fs.existsSync(outputPath)) {
-    fs.mkdirSync(outputPath, { recursive: true });
-  }
-  return outputPath;
-}
-
-/**
- * Writes market data to CSV file
- * @param {Array} data - Array of market data objects
- * @returns {string} Path to the created CSV file
- */
-async function writeToCSV(data) {
-  try {
-    if (data.length === 0) {
-      throw new Error('No data to write to CSV');
-    }
-
-    const outputDir = ensureOutputDirectory();
-    const filePath = path.join(outputDir, CONFIG.OUTPUT_FILE);
-
-    const csvWriter = createObjectCsvWriter({
-      path: filePath,
-      header: [
-        { id: 'Low', title: 'Low' },
-        { id: 'High', title: 'High' },
-        { id: 'Last', title: 'Last' },
-        { id: 'Weight Avg', title: 'Weight Avg' }
-      ]
-    });
-
-    await csvWriter.writeRecords(data);
-    console.log(`✓ CSV file created successfully at: ${filePath}`);
-    return filePath;
-
-  } catch (error) {
-    console.error('Error writing to CSV:', error);
-    throw error;
-  }
-}
-
 /**
  * Main test case: Scrape mock market data and export to CSV
  * This test uses a local mock server to demonstrate the scraping functionality
@@ -273,7 +249,7 @@ test('Scrape market data from mock server and export to CSV', async ({ page }) =
 
     // Step 3: Scrape market data
     console.log('Scraping market data from table...');
-    marketData = await scrapeMarketData(page);
+    marketData = parseMarketRows(await scrapeMarketData(page, { retryDelay: 1000 }), { marketArea: 'DE-LU' });
     console.log(`✓ Successfully scraped ${marketData.length} rows of data`);
 
     // Log the first few rows for verification
@@ -308,3 +284,74 @@ test('Scrape market data from mock server and export to CSV', async ({ page }) =
     }
   }
 });
+
+/**
+ * Pagination: every "Load more" click is followed until all periods are read
+ */
+test('Collects every row of a table loaded page by page', async ({ page }) => {
+  const { server, url } = await startMockServer(PAGINATED_HTML, LOCAL_PORT + 1);
+
+  try {
+    await page.goto(url, { waitUntil: 'domcontentloaded' });
+    const rows = await scrapeMarketData(page, { retryDelay: 1000 });
+
+    expect(rows).toHaveLength(24);
+    expect(rows.map((row) => row.Period)).toEqual(Array.from({ length: 24 }, (_, hour) => `${String(hour).padStart(2, '0')}:00`));
+  } finally {
+    await stopMockServer(server);
+  }
+});
+
+/**
+ * Network capture: rows are read from the JSON the page fetches, not from its DOM
+ */
+test('Captures rows from the data responses of the page', async ({ page }) => {
+  const { server, url } = await startMockServer(API_HTML, LOCAL_PORT + 2, { '/api/results': API_RESULTS });
+  const capture = captureResponses(page);
+
+  try {
+    await page.goto(url, { waitUntil: 'networkidle' });
+    const rows = rowsFromResponses(await capture.responses());
+
+    expect(rows).toEqual([
+      { Period: '00:00', Product: 'DE', Low: '45.23', High: '48.75', Last: '47.5', 'Weight Avg': '46.82', Volume: '1250' },
+      { Period: '01:00', Product: 'DE', Low: '44.5', High: '47.8', Last: '46.25', 'Weight Avg': '45.95', Volume: '1180' }
+    ]);
+  } finally {
+    capture.stop();
+    await stopMockServer(server);
+  }
+});
+
+/**
+ * Block detection: a challenge page is reported as blocked even with a 200 status
+ */
+test('Reports a challenge page as blocked', async ({ page }) => {
+  const { server, url } = await startMockServer(CHALLENGE_HTML, LOCAL_PORT + 3);
+
+  try {
+    const error = await openMarketResults(page, url).catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(BlockedError);
+    expect(error.detection).toMatchObject({ signal: 'marker', provider: 'cloudflare', status: 200 });
+  } finally {
+    await stopMockServer(server);
+  }
+});
+
+/**
+ * Cookie consent: the banner covering the table is accepted before reading
+ */
+test('Dismisses the cookie consent banner', async ({ page }) => {
+  const { server, url } = await startMockServer(CONSENT_HTML, LOCAL_PORT + 4);
+
+  try {
+    await openMarketResults(page, url);
+
+    expect(await dismissCookieBanner(page)).toBe('#onetrust-accept-btn-handler');
+    await expect(page.locator('#onetrust-banner-sdk')).toHaveCount(0);
+    expect(await dismissCookieBanner(page, { cookieConsentTimeout: 100 })).toBeNull();
+  } finally {
+    await stopMockServer(server);
+  }
+});
@@ -0,0 +1,153 @@
+import { test, expect } from '@playwright/test';
+import { addPeriodBounds, aggregateToHourly, checkPeriodCount, detectGranularity } from '../src/granularity.js';
+import { parsePeriodLabel } from '../src/time.js';
+
+/**
+ * Builds typed continuous rows for one GB day
+ * @param {Array<[string, number, number]>} periods - Period label, price and volume per row
+ * @param {string} [deliveryDate] - Delivery date
+ * @returns {Array} Typed rows
+ */
+function buildRows(periods, deliveryDate = '2026-01-26') {
+  return periods.map(([Period, price, Volume]) => ({
+    'Market Area': 'GB',
+    'Delivery Date': deliveryDate,
+    Market: 'intraday-continuous',
+    Period,
+    Product: '30 min',
+    Low: price - 1,
+    High: price + 1,
+    Last: price,
+    'Weight Avg': price,
+    Volume
+  }));
+}
+
+test.describe('product granularity', () => {
+  test('parses period labels into minutes', () => {
+    expect(parsePeriodLabel('00:15 - 00:30')).toEqual({ start: 15, end: 30 });
+    expect(parsePeriodLabel('23:45 - 00:00')).toEqual({ start: 1425, end: 1440 });
+    expect(parsePeriodLabel('07 - 08')).toEqual({ start: 420, end: 480 });
+    expect(parsePeriodLabel('13:00')).toEqual({ start: 780, end: null });
+    expect(parsePeriodLabel('Block')).toBeNull();
+  });
+
+  test('detects the granularity from period lengths or start times', () => {
+    expect(detectGranularity(['00:00 - 00:15', '00:15 - 00:30'])).toBe('quarter-hour');
+    expect(detectGranularity(['00:00 - 01:00', '00:00 - 00:30', '00:30 - 01:00'])).toBe('half-hour');
+    expect(detectGranularity(['00:00', '01:00', '02:00'])).toBe('hour');
+    expect(detectGranularity(['Block'])).toBeNull();
+  });
+
+  test('adds UTC period bounds in the market time zone', () => {
+    const [row] = addPeriodBounds(buildRows([['00:30 - 01:00', 50, 10]], '2026-07-14'), {
+      deliveryDate: '2026-07-14',
+      timeZone: 'Europe/London'
+    });
+    expect(row['Period Start']).toBe('2026-07-13T23:30:00.000Z');
+    expect(row['Period End']).toBe('2026-07-14T00:00:00.000Z');
+  });
+
+  test('keeps the repeated hour apart on the day summer time ends', () => {
+    const rows = addPeriodBounds(buildRows([['01:00', 1, 1], ['01:00', 2, 1], ['02:00', 3, 1]], '2026-10-25'), {
+      deliveryDate: '2026-10-25',
+      timeZone: 'Europe/London'
+    });
+    expect(rows.map((row) => row['Period Start'])).toEqual([
+      '2026-10-25T00:00:00.000Z',
+      '2026-10-25T01:00:00.000Z',
+      '2026-10-25T02:00:00.000Z'
+    ]);
+
+    const labelled = addPeriodBounds(buildRows([['00:00 - 01:00', 1, 1], ['01:00 - 02:00', 2, 1], ['01:00 - 02:00', 3, 1]], '2026-10-25'), {
+      deliveryDate: '2026-10-25',
+      timeZone: 'Europe/London'
+    });
+    expect(labelled.slice(1).map((row) => [row['Period Start'], row['Period End']])).toEqual([
+      ['2026-10-25T00:00:00.000Z', '2026-10-25T01:00:00.000Z'],
+      ['2026-10-25T01:00:00.000Z', '2026-10-25T02:00:00.000Z']
+    ]);
+  });
+
+  test('bounds and aggregates the repeated quarter-hours on the day summer time ends', () => {
+    const label = (value) => `${String(Math.floor(value / 60) % 24).padStart(2, '0')}:${String(value % 60).padStart(2, '0')}`;
+    // 02:00 to 03:00 is listed twice, once in summer and once in winter time
+    const starts = Array.from({ length: 96 }, (_, index) => index * 15);
+    const quarterHours = [...starts.slice(0, 12), ...starts.slice(8)];
+    const rows = addPeriodBounds(buildRows(quarterHours.map((start, index) => [`${label(start)} - ${label(start + 15)}`, 50, index + 1]), '2026-10-25'), {
+      deliveryDate: '2026-10-25',
+      timeZone: 'Europe/Berlin'
+    });
+
+    expect(rows.filter((row) => row.Period === '02:45 - 03:00').map((row) => [row['Period Start'], row['Period End']])).toEqual([
+      ['2026-10-25T00:45:00.000Z', '2026-10-25T01:00:00.000Z'],
+      ['2026-10-25T01:45:00.000Z', '2026-10-25T02:00:00.000Z']
+    ]);
+
+    const hourly = aggregateToHourly(rows);
+    expect(hourly).toHaveLength(25);
+    expect(hourly.map((row) => row.Volume)).toEqual(Array.from({ length: 25 }, (_, hour) => 16 * hour + 10));
+    expect(hourly.filter((row) => row.Period === '02:00 - 03:00').map((row) => [row['Period Start'], row['Period End'], row.Volume])).toEqual([
+      ['2026-10-25T00:00:00.000Z', '2026-10-25T01:00:00.000Z', 42],
+      ['2026-10-25T01:00:00.000Z', '2026-10-25T02:00:00.000Z', 58]
+    ]);
+  });
+
+  test('drops rows of other lengths when the granularity is given', () => {
+    const rows = buildRows([['00:00 - 01:00', 50, 20], ['00:00 - 00:30', 48, 10], ['00:30 - 01:00', 52, 10]]);
+    const halfHours = addPeriodBounds(rows, { deliveryDate: '2026-01-26', timeZone: 'Europe/London', granularity: 'half-hour' });
+    expect(halfHours.map((row) => row.Period)).toEqual(['00:00 - 00:30', '00:30 - 01:00']);
+    expect(() => addPeriodBounds(rows, { deliveryDate: '2026-01-26', timeZone: 'Europe/London', granularity: '5min' }))
+      .toThrow('Unknown granularity "5min"');
+  });
+
+  test('counts the periods of the day in its granularity', () => {
+    const quarterHours = Array.from({ length: 92 }, (_, index) => {
+      const minutes = index * 15;
+      const label = (value) => `${String(Math.floor(value / 60) % 24).padStart(2, '0')}:${String(value % 60).padStart(2, '0')}`;
+      return { Period: `${label(minutes)} - ${label(minutes + 15)}` };
+    });
+    const options = { deliveryDate: '2026-03-29', timeZone: 'Europe/London' };
+
+    expect(checkPeriodCount(quarterHours, options)).toEqual({ granularity: 'quarter-hour', expected: 92, actual: 92, complete: true });
+    expect(checkPeriodCount(quarterHours.slice(0, 40), options)).toMatchObject({ expected: 92, actual: 40, complete: false });
+    expect(checkPeriodCount([...quarterHours.slice(0, 40), { Period: '10:00 - 11:00' }], options)).toMatchObject({ actual: 40 });
+    expect(checkPeriodCount([{ Period: 'Base' }], options)).toMatchObject({ granularity: null, complete: true });
+  });
+
+  test('aggregates half-hours up to hourly rows', () => {
+    const rows = addPeriodBounds(buildRows([['00:00 - 00:30', 40, 10], ['00:30 - 01:00', 60, 30], ['01:00 - 01:30', 70, 5]]), {
+      deliveryDate: '2026-01-26',
+      timeZone: 'Europe/London'
+    });
+    const [first, second] = aggregateToHourly(rows);
+
+    expect(first).toMatchObject({
+      Period: '00:00 - 01:00',
+      'Period Start': '2026-01-26T00:00:00.000Z',
+      'Period End': '2026-01-26T01:00:00.000Z',
+      Product: '30 min',
+      Low: 39,
+      High: 61,
+      Last: 60,
+      'Weight Avg': 55,
+      Volume: 40
+    });
+    expect(second).toMatchObject({ Period: '01:00 - 02:00', Volume: 5 });
+  });
+
+  test('keeps hourly rows the table already lists and averages auction prices', () => {
+    const continuous = addPeriodBounds(buildRows([['00:00 - 01:00', 50, 20], ['00:00 - 00:30', 48, 10], ['00:30 - 01:00', 52, 10]]), {
+      deliveryDate: '2026-01-26',
+      timeZone: 'Europe/London'
+    });
+    expect(aggregateToHourly(continuous)).toEqual([continuous[0]]);
+
+    const auction = addPeriodBounds(['00:00 - 00:15', '00:15 - 00:30', '00:30 - 00:45', '00:45 - 01:00'].map((Period, index) => ({
+      Market: 'day-ahead', Period, Price: 80 + index * 10, Volume: 100, 'Buy Volume': 110, 'Sell Volume': 90
+    })), { deliveryDate: '2026-01-26', timeZone: 'Europe/Berlin' });
+    expect(aggregateToHourly(auction)).toEqual([expect.objectContaining({
+      Period: '00:00 - 01:00', Price: 95, Volume: 400, 'Buy Volume': 440, 'Sell Volume': 360
+    })]);
+  });
+});
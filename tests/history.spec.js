@@ -0,0 +1,186 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import { openHistoryStore } from '../src/history.js';
+
+/**
+ * Builds a typed row for the history store
+ * @param {string} period - Period label
+ * @param {number} price - Value used for all prices
+ * @returns {Object} Typed market data row
+ */
+function buildRow(period, price) {
+  return {
+    'Market Area': 'DE-LU',
+    'Delivery Date': '2026-01-26',
+    Period: period,
+    Product: 'DE',
+    Low: price,
+    High: price,
+    Last: price,
+    'Weight Avg': price,
+    Volume: 100,
+    'Price Unit': '€/MWh',
+    'Volume Unit': 'MWh'
+  };
+}
+
+test.describe('history store', () => {
+  let tempDir;
+  let filePath;
+
+  test.beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'epex-history-'));
+    filePath = path.join(tempDir, 'history.sqlite');
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('upserts re-scrapes and keeps every revision across reopen', async () => {
+    let store = await openHistoryStore(filePath);
+    expect(store.upsertRows([buildRow('00:00', 40), buildRow('01:00', 41)], { scrapedAt: '2026-01-27T08:00:00.000Z' }))
+      .toEqual({ inserted: 2, updated: 0 });
+    await store.close();
+
+    store = await openHistoryStore(filePath);
+    expect(store.upsertRows([buildRow('00:00', 42)], { scrapedAt: '2026-01-27T12:00:00.000Z' }))
+      .toEqual({ inserted: 0, updated: 1 });
+
+    const latest = store.getLatestRows({ marketArea: 'DE-LU', deliveryDate: '2026-01-26' });
+    expect(latest.map((row) => [row.Period, row.Low, row['Scraped At']])).toEqual([
+      ['00:00', 42, '2026-01-27T12:00:00.000Z'],
+      ['01:00', 41, '2026-01-27T08:00:00.000Z']
+    ]);
+
+    const revisions = store.getRevisions({ period: '00:00' });
+    expect(revisions.map((row) => row.Low)).toEqual([40, 42]);
+    await store.close();
+  });
+
+  test('does not let an older scrape replace a newer value', async () => {
+    const store = await openHistoryStore(filePath);
+    expect(store.upsertRows([buildRow('00:00', 42)], { scrapedAt: '2026-01-27T12:00:00.000Z' }))
+      .toEqual({ inserted: 1, updated: 0 });
+    expect(store.upsertRows([buildRow('00:00', 40)], { scrapedAt: '2026-01-27T08:00:00.000Z' }))
+      .toEqual({ inserted: 0, updated: 0 });
+
+    expect(store.getLatestRows()[0].Low).toBe(42);
+    expect(store.getRevisions()).toHaveLength(2);
+    await store.close();
+  });
+
+  test('keeps the revisions of every writer sharing the file', async () => {
+    const first = await openHistoryStore(filePath);
+    const second = await openHistoryStore(filePath);
+    first.upsertRows([buildRow('00:00', 40)], { scrapedAt: '2026-01-27T08:00:00.000Z' });
+    second.upsertRows([buildRow('00:00', 42), buildRow('01:00', 41)], { scrapedAt: '2026-01-27T12:00:00.000Z' });
+
+    // A third writer is saving: both wait for its lock
+    fs.writeFileSync(`${filePath}.lock`, '1');
+    setTimeout(() => fs.rmSync(`${filePath}.lock`), 100);
+    await Promise.all([second.close(), first.close()]);
+
+    const store = await openHistoryStore(filePath);
+    expect(store.getLatestRows().map((row) => [row.Period, row.Low])).toEqual([['00:00', 42], ['01:00', 41]]);
+    expect(store.getRevisions({ period: '00:00' }).map((row) => row.Low)).toEqual([40, 42]);
+    expect(fs.existsSync(`${filePath}.lock`)).toBe(false);
+    await store.close();
+  });
+
+  test('takes over a lock left by a writer that died while saving', async () => {
+    const store = await openHistoryStore(filePath);
+    store.upsertRows([buildRow('00:00', 40)]);
+    fs.writeFileSync(`${filePath}.lock`, '1');
+    const anHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    fs.utimesSync(`${filePath}.lock`, anHourAgo, anHourAgo);
+
+    await store.close();
+    expect(fs.readdirSync(tempDir)).toEqual(['history.sqlite']);
+  });
+
+  test('rejects rows without their key fields', async () => {
+    const store = await openHistoryStore(filePath);
+    expect(() => store.upsertRows([{ Period: '00:00', Low: 1 }])).toThrow('Cannot store row without');
+    expect(store.getRevisions()).toHaveLength(0);
+    await store.close();
+  });
+
+  test('keeps markets apart for the same period', async () => {
+    const store = await openHistoryStore(filePath);
+    const auctionRow = { ...buildRow('00:00', null), Market: 'day-ahead', Price: 85.2 };
+    expect(store.upsertRows([buildRow('00:00', 40), auctionRow])).toEqual({ inserted: 2, updated: 0 });
+
+    expect(store.getLatestRows({ market: 'day-ahead' }).map((row) => [row.Market, row.Price])).toEqual([['day-ahead', 85.2]]);
+    expect(store.getLatestRows({ market: 'intraday-continuous' })[0].Low).toBe(40);
+    await store.close();
+  });
+
+  test('keeps both periods of the repeated hour when summer time ends', async () => {
+    const store = await openHistoryStore(filePath);
+    const dstEnd = (periodStart, price) => ({ ...buildRow('02:00 - 03:00', price), 'Delivery Date': '2026-10-25', 'Period Start': periodStart });
+    expect(store.upsertRows([dstEnd('2026-10-25T00:00:00.000Z', 40), dstEnd('2026-10-25T01:00:00.000Z', 41)]))
+      .toEqual({ inserted: 2, updated: 0 });
+
+    expect(store.getLatestRows({ deliveryDate: '2026-10-25' }).map((row) => [row['Period Start'], row.Low])).toEqual([
+      ['2026-10-25T00:00:00.000Z', 40],
+      ['2026-10-25T01:00:00.000Z', 41]
+    ]);
+    await store.close();
+  });
+
+  test('upgrades a store written before rows were keyed by market', async () => {
+    const SQL = await initSqlJs();
+    const legacy = new SQL.Database();
+    legacy.run(`
+      CREATE TABLE revisions (id INTEGER PRIMARY KEY AUTOINCREMENT, market_area TEXT NOT NULL, delivery_date TEXT NOT NULL,
+        period TEXT NOT NULL, product TEXT, low REAL, high REAL, last REAL, weight_avg REAL, volume REAL,
+        price_unit TEXT, volume_unit TEXT, scraped_at TEXT NOT NULL);
+      CREATE INDEX revisions_by_key ON revisions (market_area, delivery_date, period, scraped_at);
+      CREATE TABLE latest (market_area TEXT NOT NULL, delivery_date TEXT NOT NULL, period TEXT NOT NULL, product TEXT,
+        low REAL, high REAL, last REAL, weight_avg REAL, volume REAL, price_unit TEXT, volume_unit TEXT,
+        scraped_at TEXT NOT NULL, revision_id INTEGER NOT NULL REFERENCES revisions (id),
+        PRIMARY KEY (market_area, delivery_date, period));
+      INSERT INTO revisions (market_area, delivery_date, period, low, scraped_at) VALUES ('GB', '2026-01-26', '00:00', 40, '2026-01-27');
+      INSERT INTO latest (market_area, delivery_date, period, low, scraped_at, revision_id) VALUES ('GB', '2026-01-26', '00:00', 40, '2026-01-27', 1);
+    `);
+    fs.writeFileSync(filePath, Buffer.from(legacy.export()));
+    legacy.close();
+
+    const store = await openHistoryStore(filePath);
+    expect(store.getLatestRows().map((row) => [row.Market, row.Low, row['Period Start']]))
+      .toEqual([['intraday-continuous', 40, '2026-01-26T00:00:00.000Z']]);
+    expect(store.getRevisions()[0].Market).toBe('intraday-continuous');
+    expect(store.upsertRows([{ ...buildRow('00:00', null), 'Market Area': 'GB', Market: 'day-ahead', Price: 70 }]))
+      .toEqual({ inserted: 1, updated: 0 });
+    await store.close();
+  });
+
+  test('upgrades a store written before rows were keyed by period start', async () => {
+    let store = await openHistoryStore(filePath);
+    store.upsertRows([buildRow('00:00', 40)], { scrapedAt: '2026-01-27T08:00:00.000Z' });
+    store.upsertRows([buildRow('00:00', 42)], { scrapedAt: '2026-01-27T12:00:00.000Z' });
+    await store.close();
+
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(fs.readFileSync(filePath));
+    db.run(`
+      ALTER TABLE revisions DROP COLUMN period_start;
+      ALTER TABLE latest RENAME TO latest_with_starts;
+      CREATE TABLE latest AS SELECT market, market_area, delivery_date, period, product, low, high, last, weight_avg,
+        price, buy_volume, sell_volume, volume, price_unit, volume_unit, scraped_at, revision_id FROM latest_with_starts;
+      DROP TABLE latest_with_starts;
+    `);
+    fs.writeFileSync(filePath, Buffer.from(db.export()));
+    db.close();
+
+    store = await openHistoryStore(filePath);
+    expect(store.getLatestRows().map((row) => [row.Low, row['Period Start']])).toEqual([[42, '2026-01-25T23:00:00.000Z']]);
+    expect(store.upsertRows([{ ...buildRow('00:00', 43), 'Period Start': '2026-01-25T23:00:00.000Z' }], { scrapedAt: '2026-01-28T08:00:00.000Z' }))
+      .toEqual({ inserted: 0, updated: 1 });
+    await store.close();
+  });
+});
@@ -0,0 +1,59 @@
+import { test, expect } from '@playwright/test';
+import { detectDecimalSeparator, parseNumber, parseMarketRows } from '../src/parsing.js';
+import { ParseError } from '../src/errors.js';
+
+test.describe('numeric parsing', () => {
+  test('understands both decimal conventions', () => {
+    expect(parseNumber('1,250.30')).toBe(1250.3);
+    expect(parseNumber('1.250,30')).toBe(1250.3);
+    expect(parseNumber('1 250,30')).toBe(1250.3);
+    expect(parseNumber('-12.5 €/MWh')).toBe(-12.5);
+    expect(parseNumber('47,5')).toBe(47.5);
+  });
+
+  test('maps placeholders to null', () => {
+    for (const placeholder of ['', '-', '—', 'n/a', 'N/A']) {
+      expect(parseNumber(placeholder)).toBeNull();
+    }
+  });
+
+  test('rejects text that is not a number', () => {
+    expect(() => parseNumber('abc')).toThrow(ParseError);
+  });
+
+  test('detects the decimal separator across a table', () => {
+    expect(detectDecimalSeparator(['1,250', '45,23'])).toBe(',');
+    expect(detectDecimalSeparator(['1,250', '45.23'])).toBe('.');
+    expect(detectDecimalSeparator(['1.250.000'])).toBe(',');
+    expect(detectDecimalSeparator(['1,250'])).toBe('.');
+  });
+
+  test('types rows and records units', () => {
+    const [row] = parseMarketRows([
+      { Period: '00:00', Product: 'GB', Low: '45,23', High: '48,75', Last: '-', 'Weight Avg': '46,82', Volume: '1.250' }
+    ], { marketArea: 'GB' });
+    expect(row).toEqual({
+      Period: '00:00',
+      Product: 'GB',
+      Low: 45.23,
+      High: 48.75,
+      Last: null,
+      'Weight Avg': 46.82,
+      Volume: 1250,
+      'Price Unit': '£/MWh',
+      'Volume Unit': 'MWh'
+    });
+  });
+
+  test('types the price and volumes of auction rows', () => {
+    const [row] = parseMarketRows([
+      { Period: '00 - 01', 'Buy Volume': '15,000.1', 'Sell Volume': '14,000.2', Volume: '12,500.0', Price: '-5.30' }
+    ], { marketArea: 'FR', market: 'day-ahead' });
+    expect(row).toMatchObject({ 'Buy Volume': 15000.1, 'Sell Volume': 14000.2, Volume: 12500, Price: -5.3, 'Price Unit': '€/MWh' });
+  });
+
+  test('names the field and period of an unparseable value', () => {
+    expect(() => parseMarketRows([{ Period: '03:00', Low: 'x', High: '1', Last: '1', 'Weight Avg': '1', Volume: '' }]))
+      .toThrow('Cannot parse "x" as a number in Low of period 03:00');
+  });
+});
@@ -0,0 +1,147 @@
+import { test, expect } from '@playwright/test';
+import {
+  BlockedError, EmptyResultError, MissingColumnError, ParseError, RateLimitedError, ServerError
+} from '../src/errors.js';
+import {
+  FAILURE_CLASSES, backoffDelay, classifyFailure, parseRetryAfter, resolveRetryPolicy, runWithRetry
+} from '../src/retry.js';
+
+/**
+ * Builds hooks that record waits on a fake clock instead of sleeping
+ * @returns {{sleep: function(number): Promise<void>, now: function(): number, random: function(): number, waits: number[]}}
+ */
+function fakeClock() {
+  let time = 0;
+  const waits = [];
+  return {
+    waits,
+    now: () => time,
+    random: () => 0,
+    sleep: async (ms) => {
+      waits.push(ms);
+      time += ms;
+    }
+  };
+}
+
+/**
+ * Builds an operation that throws the given errors in turn, then returns 'ok'
+ * @param {Error[]} errors - Errors of the failing attempts
+ * @returns {function(): Promise<string>} Operation
+ */
+function failing(...errors) {
+  return async () => {
+    if (errors.length > 0) throw errors.shift();
+    return 'ok';
+  };
+}
+
+/**
+ * Builds a Playwright-style timeout error
+ * @returns {Error} Error named TimeoutError
+ */
+function timeoutError() {
+  const error = new Error('Timeout 30000ms exceeded');
+  error.name = 'TimeoutError';
+  return error;
+}
+
+test.describe('Failure classes', () => {
+  test('classifies errors by type', () => {
+    expect(classifyFailure(new BlockedError('403'))).toBe(FAILURE_CLASSES.BLOCKED);
+    expect(classifyFailure(new RateLimitedError('429'))).toBe(FAILURE_CLASSES.RATE_LIMITED);
+    expect(classifyFailure(new ServerError('503', 503))).toBe(FAILURE_CLASSES.SERVER_ERROR);
+    expect(classifyFailure(timeoutError())).toBe(FAILURE_CLASSES.TIMEOUT);
+    expect(classifyFailure(new EmptyResultError('empty'))).toBe(FAILURE_CLASSES.EMPTY);
+    expect(classifyFailure(new MissingColumnError('no Last'))).toBe(FAILURE_CLASSES.MISSING_COLUMN);
+    expect(classifyFailure(new ParseError('no table'))).toBe(FAILURE_CLASSES.PARSE);
+    expect(classifyFailure(new Error('boom'))).toBe(FAILURE_CLASSES.OTHER);
+  });
+
+  test('parses Retry-After in seconds or as an HTTP date', () => {
+    const now = Date.parse('2026-01-27T08:00:00Z');
+    expect(parseRetryAfter('120', now)).toBe(120000);
+    expect(parseRetryAfter('Tue, 27 Jan 2026 08:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Tue, 27 Jan 2026 07:00:00 GMT', now)).toBe(0);
+    expect(parseRetryAfter(null, now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+});
+
+test.describe('Backoff', () => {
+  const policy = resolveRetryPolicy({ retryDelay: 1000, retryMaxDelay: 5000, retryFactor: 2, retryJitter: 0.5 });
+
+  test('grows exponentially up to the maximum delay', () => {
+    expect([1, 2, 3, 4, 5].map((retry) => backoffDelay(retry, policy, () => 0))).toEqual([1000, 2000, 4000, 5000, 5000]);
+  });
+
+  test('randomises the jitter share of each wait', () => {
+    expect(backoffDelay(2, policy, () => 0.999)).toBeGreaterThanOrEqual(1000);
+    expect(backoffDelay(2, policy, () => 0.5)).toBe(1500);
+    expect(backoffDelay(2, { ...policy, jitter: 0 }, () => 0.5)).toBe(2000);
+  });
+});
+
+test.describe('Retry policy', () => {
+  const policy = resolveRetryPolicy({ retryAttempts: 4, retryDelay: 1000, retryMaxDelay: 10000, retryBudget: 60000 });
+
+  test('retries transient failures and reports the outcome', async () => {
+    const clock = fakeClock();
+    const { value, outcome } = await runWithRetry(failing(new ServerError('502', 502), timeoutError()), policy, clock);
+
+    expect(value).toBe('ok');
+    expect(clock.waits).toEqual([1000, 2000]);
+    expect(outcome).toMatchObject({ status: 'succeeded', failureClass: null, attempts: 3, elapsed: 3000 });
+    expect(outcome.failures.map((failure) => failure.failureClass)).toEqual(['server-error', 'timeout']);
+  });
+
+  test('does not retry blocked pages or missing columns by default', async () => {
+    for (const error of [new BlockedError('403'), new MissingColumnError('no Last')]) {
+      const clock = fakeClock();
+      const failed = await runWithRetry(failing(error), policy, clock).catch((caught) => caught);
+
+      expect(failed).toBe(error);
+      expect(failed.outcome).toMatchObject({ status: 'failed', reason: 'not-retryable', attempts: 1 });
+      expect(clock.waits).toEqual([]);
+    }
+  });
+
+  test('honours Retry-After when it asks for a longer wait', async () => {
+    const clock = fakeClock();
+    await runWithRetry(failing(new RateLimitedError('429', 20000), new RateLimitedError('429', null)), policy, clock);
+
+    expect(clock.waits).toEqual([20000, 2000]);
+  });
+
+  test('gives up with the failure class of the last attempt', async () => {
+    const clock = fakeClock();
+    const error = await runWithRetry(
+      failing(timeoutError(), timeoutError(), new ServerError('500', 500), new EmptyResultError('empty'), new Error('never')),
+      policy,
+      clock
+    ).catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(EmptyResultError);
+    expect(error.outcome).toMatchObject({ status: 'failed', failureClass: 'empty', reason: 'attempts-exhausted', attempts: 4 });
+    expect(error.outcome.failures.at(-1)).toMatchObject({ attempt: 4, failureClass: 'empty', delay: null });
+  });
+
+  test('stops before a wait would overrun the time budget', async () => {
+    const clock = fakeClock();
+    const error = await runWithRetry(
+      failing(new RateLimitedError('429', 5000), new RateLimitedError('429', 120000)),
+      { ...policy, timeBudget: 60000 },
+      clock
+    ).catch((caught) => caught);
+
+    expect(clock.waits).toEqual([5000]);
+    expect(error.outcome).toMatchObject({ failureClass: 'rate-limited', reason: 'budget-exhausted', attempts: 2, elapsed: 5000 });
+  });
+
+  test('retries only the configured failure classes', async () => {
+    const error = await runWithRetry(failing(new EmptyResultError('empty')), { ...policy, retryOn: ['timeout'] }, fakeClock())
+      .catch((caught) => caught);
+
+    expect(error.outcome.reason).toBe('not-retryable');
+  });
+});
@@ -0,0 +1,136 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EXIT_CODES } from '../src/cli.js';
+import {
+  openJobState, parseScheduleArgs, planDeliveries, recordAttempt, resolveJobs, runDueJobs, scrapeArgs
+} from '../src/scheduler.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Builds a day-ahead DE-LU job polling every 10 minutes for up to 6 hours
+ * @returns {import('../src/scheduler.js').ScheduleJob} Job
+ */
+function dayAheadJob() {
+  return resolveJobs([{ name: 'da', market: 'day-ahead', marketAreas: ['DE-LU'] }], { pollInterval: 10 * MINUTE, pollDeadline: 360 * MINUTE })[0];
+}
+
+/**
+ * Builds a fake epex-scrape answering with the given exit codes in turn
+ * @param {number[]} exitCodes - Exit code per run
+ * @returns {function(string[]): Promise<number>} Fake run, with the arguments of each run in .calls
+ */
+function fakeScrape(...exitCodes) {
+  const runJob = async (argv) => {
+    runJob.calls.push(argv);
+    return exitCodes.shift();
+  };
+  runJob.calls = [];
+  return runJob;
+}
+
+test.describe('Scheduler', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'epex-schedule-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('completes jobs from the market publication time', () => {
+    const [dayAhead, continuous] = resolveJobs([{ market: 'day-ahead', marketAreas: 'DE-LU,FR' }, { market: 'intraday-continuous' }]);
+
+    expect(dayAhead).toMatchObject({ name: 'day-ahead_1', marketAreas: ['DE-LU', 'FR'], cron: '45 12 * * *', timeZone: 'Europe/Berlin', deliveryOffset: 1 });
+    expect(continuous).toMatchObject({ marketAreas: ['GB'], deliveryOffset: -1 });
+    expect(scrapeArgs(dayAhead, '2026-01-27')).toEqual([
+      '--market', 'day-ahead', '--market-area', 'DE-LU,FR', '--date', '2026-01-27', '--require-complete',
+      '--output', path.join('output', '{market}_{marketArea}_{deliveryDate}.{format}')
+    ]);
+  });
+
+  test('rejects invalid jobs', () => {
+    expect(() => resolveJobs([])).toThrow('no jobs');
+    expect(() => resolveJobs([{ name: 'a' }, { name: 'a' }])).toThrow('Duplicate job name');
+    expect(() => resolveJobs([{ cron: '99 * * * *' }])).toThrow('Invalid minute');
+    expect(() => resolveJobs([{ args: ['--date', '2026-01-01'] }])).toThrow('--date is set by the scheduler');
+    expect(() => resolveJobs([{ args: ['--format', 'xml'] }])).toThrow('Unsupported format');
+  });
+
+  test('plans the days published since the last run, once each', () => {
+    const job = dayAheadJob();
+    const jobState = { lastPlannedAt: null, deliveries: {} };
+
+    // Started at 12:50 CET: the 12:45 run is still within its poll deadline
+    expect(planDeliveries(job, jobState, new Date('2026-01-26T11:50:00Z'))).toEqual(['2026-01-27']);
+    expect(planDeliveries(job, jobState, new Date('2026-01-26T12:30:00Z'))).toEqual([]);
+    // Down for a day and a half: only days whose deadline has not passed are added
+    expect(planDeliveries(job, jobState, new Date('2026-01-28T12:00:00Z'))).toEqual(['2026-01-29']);
+    expect(jobState.deliveries['2026-01-27']).toMatchObject({
+      status: 'pending', scheduledAt: '2026-01-26T11:45:00.000Z', deadline: '2026-01-26T17:45:00.000Z', attempts: 0
+    });
+  });
+
+  test('polls again until the results are published', async () => {
+    const job = dayAheadJob();
+    const state = openJobState(path.join(dir, 'state.json'));
+    const runJob = fakeScrape(EXIT_CODES.EMPTY, EXIT_CODES.SUCCESS);
+
+    const first = await runDueJobs([job], state, { now: () => new Date('2026-01-26T11:50:00Z'), runJob });
+    expect(first.runs).toEqual([{ job: 'da', deliveryDate: '2026-01-27', exitCode: EXIT_CODES.EMPTY, status: 'pending' }]);
+    expect(first.nextWakeAt.toISOString()).toBe('2026-01-26T12:00:00.000Z');
+    expect(runJob.calls[0]).toEqual(expect.arrayContaining(['--date', '2026-01-27', '--require-complete']));
+
+    const early = await runDueJobs([job], state, { now: () => new Date('2026-01-26T11:55:00Z'), runJob });
+    expect(early.runs).toEqual([]);
+
+    const second = await runDueJobs([job], state, { now: () => new Date('2026-01-26T12:00:00Z'), runJob });
+    expect(second.runs).toEqual([{ job: 'da', deliveryDate: '2026-01-27', exitCode: EXIT_CODES.SUCCESS, status: 'done' }]);
+    expect(second.nextWakeAt.toISOString()).toBe('2026-01-27T11:45:00.000Z');
+    expect(state.job('da').deliveries['2026-01-27']).toMatchObject({ status: 'done', attempts: 2, finishedAt: '2026-01-26T12:00:00.000Z' });
+  });
+
+  test('resumes from the state file after a restart without running a day twice', async () => {
+    const job = dayAheadJob();
+    const statePath = path.join(dir, 'state.json');
+    const runJob = fakeScrape(EXIT_CODES.INCOMPLETE, EXIT_CODES.SUCCESS);
+
+    await runDueJobs([job], openJobState(statePath), { now: () => new Date('2026-01-26T11:50:00Z'), runJob });
+    // Restarted: the pending day is polled again, then left alone once done
+    await runDueJobs([job], openJobState(statePath), { now: () => new Date('2026-01-26T12:20:00Z'), runJob });
+    const { runs } = await runDueJobs([job], openJobState(statePath), { now: () => new Date('2026-01-26T13:00:00Z'), runJob });
+
+    expect(runs).toEqual([]);
+    expect(runJob.calls).toHaveLength(2);
+    expect(JSON.parse(fs.readFileSync(statePath, 'utf-8')).jobs.da.deliveries['2026-01-27'].status).toBe('done');
+  });
+
+  test('gives up at the poll deadline and on invalid arguments', () => {
+    const job = dayAheadJob();
+    const delivery = () => ({ status: 'pending', deadline: '2026-01-26T17:45:00.000Z', attempts: 1 });
+
+    expect(recordAttempt(job, delivery(), EXIT_CODES.UNAVAILABLE, new Date('2026-01-26T17:30:00Z')))
+      .toMatchObject({ status: 'pending', nextAttemptAt: '2026-01-26T17:40:00.000Z' });
+    expect(recordAttempt(job, delivery(), EXIT_CODES.UNAVAILABLE, new Date('2026-01-26T17:40:00Z')))
+      .toMatchObject({ status: 'failed', finishedAt: '2026-01-26T17:40:00.000Z' });
+    expect(recordAttempt(job, delivery(), EXIT_CODES.USAGE, new Date('2026-01-26T12:00:00Z'))).toMatchObject({ status: 'failed' });
+  });
+
+  test('reads a job file or a single job from the options', () => {
+    const jobFile = path.join(dir, 'jobs.json');
+    fs.writeFileSync(jobFile, JSON.stringify({
+      state: 'output/jobs-state.json',
+      jobs: [{ name: 'gb', market: 'intraday-continuous', marketAreas: ['GB'], cron: '30 1 * * *', timeZone: 'Europe/London' }]
+    }));
+
+    expect(parseScheduleArgs([jobFile])).toMatchObject({ state: 'output/jobs-state.json', once: false, jobs: [{ name: 'gb', timeZone: 'Europe/London' }] });
+    expect(parseScheduleArgs(['--market', 'day-ahead', '-m', 'FR', '--poll-interval', '5', '--once']))
+      .toMatchObject({ once: true, jobs: [{ market: 'day-ahead', marketAreas: ['FR'], pollInterval: 5 * MINUTE }] });
+    expect(() => parseScheduleArgs([jobFile, '--market', 'day-ahead'])).toThrow('cannot be combined');
+    expect(() => parseScheduleArgs([path.join(dir, 'missing.json')])).toThrow('Cannot read job file');
+  });
+});
@@ -0,0 +1,84 @@
+import { test, expect } from '@playwright/test';
+import { buildRow, mergeTableRows } from '../src/scraper.js';
+import { mapHeaderColumns } from '../src/columns.js';
+import { getMarketSchema } from '../src/modalities.js';
+import { buildUrl } from '../src/url.js';
+
+const MOCK_COLUMNS = mapHeaderColumns(['Time', 'Product', 'Low', 'High', 'Last', 'Weight Avg', 'Volume']);
+
+test.describe('row mapping', () => {
+  test('captures every column of a mock table row', () => {
+    const row = buildRow(['00:00', 'DE', '45.23', '48.75', '47.50', '46.82', '1,250'], MOCK_COLUMNS);
+    expect(row).toEqual({
+      Period: '00:00',
+      Product: 'DE',
+      Low: '45.23',
+      High: '48.75',
+      Last: '47.50',
+      'Weight Avg': '46.82',
+      Volume: '1,250'
+    });
+  });
+
+  test('keeps rows without a published volume', () => {
+    expect(buildRow(['01:00', 'DE', '1', '2', '1.5', '1.4'], MOCK_COLUMNS).Volume).toBe('');
+  });
+
+  test('drops short rows and rows missing the period or a price', () => {
+    expect(buildRow(['00:00', 'DE', '1', '2'], MOCK_COLUMNS)).toBeNull();
+    expect(buildRow(['', 'DE', '1', '2', '1.5', '1.4', '10'], MOCK_COLUMNS)).toBeNull();
+    expect(buildRow(['00:00', 'DE', '1', '', '1.5', '1.4', '10'], MOCK_COLUMNS)).toBeNull();
+  });
+});
+
+test.describe('market modalities', () => {
+  test('builds the URL parameters of each market', () => {
+    const params = (market) => Object.fromEntries(new URL(buildUrl({ market, marketArea: 'FR', deliveryDate: '2026-01-26' })).searchParams);
+
+    expect(params('day-ahead')).toEqual({
+      market_area: 'FR', delivery_date: '2026-01-26', modality: 'Auction', sub_modality: 'DayAhead', data_mode: 'table'
+    });
+    expect(params('intraday-auction')).toMatchObject({ modality: 'Auction', sub_modality: 'Intraday', auction: 'IDA1' });
+    expect(params('intraday-continuous')).toMatchObject({ modality: 'Continuous' });
+    expect(new URL(buildUrl({ modality: 'intraday-auction', auction: 'IDA2' })).searchParams.get('auction')).toBe('IDA2');
+    expect(() => buildUrl({ market: 'futures' })).toThrow('Unknown market "futures"');
+  });
+
+  test('maps auction tables with the auction schema', () => {
+    const schema = getMarketSchema('day-ahead');
+    const columns = mapHeaderColumns(['Hours', 'Buy Volume (MWh)', 'Sell Volume (MWh)', 'Volume (MWh)', 'Price (\u20ac/MWh)'], {
+      requiredColumns: schema.requiredColumns
+    });
+
+    expect(buildRow(['00 - 01', '15,000.1', '14,000.2', '12,500.0', '85.20'], columns, schema)).toEqual({
+      Period: '00 - 01',
+      'Buy Volume': '15,000.1',
+      'Sell Volume': '14,000.2',
+      Volume: '12,500.0',
+      Price: '85.20'
+    });
+    expect(buildRow(['01 - 02', '1', '1', '1', ''], columns, schema)).toBeNull();
+    expect(() => mapHeaderColumns(['Hours', 'Volume'], { requiredColumns: schema.requiredColumns })).toThrow('Price');
+  });
+});
+
+test.describe('paginated tables', () => {
+  const EMPTY = { headers: [], rows: [], keys: [] };
+
+  test('adds only the rows an earlier page did not return', () => {
+    const first = mergeTableRows(EMPTY, { headers: ['Time'], rows: [['00:00'], ['00:15']], keys: [null, null] });
+    const second = mergeTableRows(first, { headers: ['Time'], rows: [['00:00'], ['00:15'], ['00:30']], keys: [null, null, null] });
+
+    expect(second.rows).toEqual([['00:00'], ['00:15'], ['00:30']]);
+    expect(second.added).toBe(1);
+    expect(mergeTableRows(second, { headers: ['Time'], rows: [['00:30']], keys: [null] }).added).toBe(0);
+  });
+
+  test('tells virtualized rows apart by their row index', () => {
+    const first = mergeTableRows(EMPTY, { headers: ['Time'], rows: [['00:00'], ['00:00']], keys: ['1', '2'] });
+    const second = mergeTableRows(first, { headers: [], rows: [['00:00'], ['00:15']], keys: ['2', '3'] });
+
+    expect(second.headers).toEqual(['Time']);
+    expect(second.rows).toEqual([['00:00'], ['00:00'], ['00:15']]);
+  });
+});
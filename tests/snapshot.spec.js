@@ -0,0 +1,110 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openSnapshotArchive } from '../src/archive.js';
+import { EXIT_CODES } from '../src/cli.js';
+import { BlockedError, EmptyResultError, MissingColumnError, ParseError } from '../src/errors.js';
+import { main, parseReparseArgs, reparseSnapshot } from '../src/reparse.js';
+import { listSnapshots, parseMarketResultsHtml, snapshotContext } from '../src/snapshot.js';
+
+/**
+ * Builds a saved results page
+ * @param {string[]} headers - Header labels
+ * @param {string[][]} rows - Cell texts per row
+ * @returns {string} Page HTML, with rows outside an explicit <tbody> as in many saved pages
+ */
+function buildPage(headers, rows) {
+  const cells = (tag, values) => values.map((value) => `<${tag}>${value}</${tag}>`).join('');
+  return `<!DOCTYPE html><html><body><nav><ul><li>Home</li></ul></nav><table>
+    <thead><tr>${cells('th', headers)}</tr></thead>
+    ${rows.map((row) => `<tr>${cells('td', row)}</tr>`).join('\n')}
+  </table></body></html>`;
+}
+
+const HEADERS = ['Time', 'Product', 'Low', 'High', 'Last', 'Weight Avg', 'Volume'];
+const HOURS = Array.from({ length: 24 }, (_, hour) => {
+  const label = (value) => `${String(value % 24).padStart(2, '0')}:00`;
+  return [`${label(hour)} - ${label(hour + 1)}`, '1H', '40.00', '50.00', '45.00', '44.00', '1,250.5'];
+});
+
+test.describe('offline snapshot parsing', () => {
+  test('parses a saved page without a browser', () => {
+    const rows = parseMarketResultsHtml(buildPage(HEADERS, HOURS.slice(0, 2)));
+
+    expect(rows).toEqual([
+      { Period: '00:00 - 01:00', Product: '1H', Low: '40.00', High: '50.00', Last: '45.00', 'Weight Avg': '44.00', Volume: '1,250.5' },
+      { Period: '01:00 - 02:00', Product: '1H', Low: '40.00', High: '50.00', Last: '45.00', 'Weight Avg': '44.00', Volume: '1,250.5' }
+    ]);
+  });
+
+  test('raises the same errors as scrapeMarketData', () => {
+    expect(() => parseMarketResultsHtml('<html><body><p>Maintenance</p></body></html>')).toThrow(ParseError);
+    expect(() => parseMarketResultsHtml(buildPage(['Time', 'Volume'], [['00:00', '1']]))).toThrow(MissingColumnError);
+    expect(() => parseMarketResultsHtml(buildPage(HEADERS, [['00:00', '1H', '', '', '', '', '']]))).toThrow(EmptyResultError);
+     expect(() => parseMarketResultsHtml('<html><head><title>Just a moment...</title></head><body></body></html>')).toThrow(BlockedError);
+  });
+
+  test('reads the market area, delivery date and market from file names', () => {
+    expect(snapshotContext('/snapshots/DE-LU_2026-01-26.html')).toEqual({ marketArea: 'DE-LU', deliveryDate: '2026-01-26' });
+    expect(snapshotContext('day-ahead_GB_2026-03-29.htm')).toEqual({ marketArea: 'GB', deliveryDate: '2026-03-29', market: 'day-ahead' });
+    expect(snapshotContext('page.html')).toEqual({});
+  });
+});
+
+test.describe('epex-reparse', () => {
+  let snapshotDir;
+
+  test.beforeEach(() => {
+    snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'epex-snapshots-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(snapshotDir, { recursive: true, force: true });
+  });
+
+  test('parses the arguments', () => {
+    expect(parseReparseArgs(['snapshots', '-m', 'FR', '--market', 'day-ahead'])).toMatchObject({
+      directory: 'snapshots',
+      overrides: { marketArea: 'FR', market: 'day-ahead' },
+      granularity: 'auto',
+      format: 'csv'
+    });
+    expect(parseReparseArgs(['output/archive/runs/run-1.json'])).toMatchObject({ directory: null, runIndex: 'output/archive/runs/run-1.json' });
+    expect(() => parseReparseArgs([])).toThrow('Expected exactly one snapshot directory');
+    expect(() => parseReparseArgs(['snapshots', '--date', '2026-02-30'])).toThrow('--date must be a valid date');
+  });
+
+  test('re-parses every snapshot of a directory into tagged day rows', async () => {
+    fs.writeFileSync(path.join(snapshotDir, 'FR_2026-01-26.html'), buildPage(HEADERS, HOURS));
+    fs.writeFileSync(path.join(snapshotDir, 'notes.txt'), 'not a snapshot');
+    const [snapshot, ...others] = await listSnapshots(snapshotDir);
+
+    expect(others).toEqual([]);
+    const rows = await reparseSnapshot(snapshot, parseReparseArgs([snapshotDir]));
+    expect(rows).toHaveLength(24);
+    expect(rows[0]).toMatchObject({
+      'Market Area': 'FR',
+      'Delivery Date': '2026-01-26',
+      Market: 'intraday-continuous',
+      'Period Start': '2026-01-25T23:00:00.000Z',
+      Volume: 1250.5
+    });
+    await expect(reparseSnapshot(path.join(snapshotDir, 'page.html'), parseReparseArgs([snapshotDir])))
+      .rejects.toThrow('No delivery date');
+  });
+
+  test('re-parses an archived run with the context recorded in its index', async () => {
+    const archive = openSnapshotArchive(path.join(snapshotDir, 'archive'), { runId: 'run-1' });
+    const page = { content: async () => buildPage(HEADERS, HOURS), screenshot: async () => Buffer.from('png') };
+    await archive.storePage(page, { url: 'https://example.test/?market_area=FR', marketArea: 'FR', deliveryDate: '2026-01-26', market: 'intraday-continuous' });
+    const indexPath = await archive.close();
+    const output = path.join(snapshotDir, 'reparsed.json');
+
+    expect(await main([indexPath, '--combined', '--format', 'json', '--output', output])).toBe(EXIT_CODES.SUCCESS);
+    const { metadata, rows } = JSON.parse(fs.readFileSync(output, 'utf-8'));
+    expect(metadata).toMatchObject({ runIndex: indexPath, snapshots: 1 });
+    expect(rows).toHaveLength(24);
+    expect(rows[0]).toMatchObject({ 'Market Area': 'FR', 'Delivery Date': '2026-01-26', 'Period Start': '2026-01-25T23:00:00.000Z' });
+  });
+});
@@ -0,0 +1,116 @@
+import { test, expect } from '@playwright/test';
+import { validateRows } from '../src/validation.js';
+import { ValidationError } from '../src/errors.js';
+
+/**
+ * Builds a complete hourly day of consistent rows
+ * @param {number} [periods] - Number of rows
+ * @param {string} [deliveryDate] - Delivery date of every row
+ * @returns {Array} Typed rows
+ */
+function buildDay(periods = 24, deliveryDate = '2026-01-26') {
+  return Array.from({ length: periods }, (_, hour) => ({
+    'Market Area': 'DE-LU',
+    'Delivery Date': deliveryDate,
+    Period: `${String(hour).padStart(2, '0')}:00`,
+    Low: 40,
+    High: 50,
+    Last: 45,
+    'Weight Avg': 46,
+    Volume: 1000
+  }));
+}
+
+/**
+ * Builds a day of continuous rows labelled with start and end times
+ * @param {number} minutes - Period length in minutes
+ * @param {number} periods - Number of rows
+ * @returns {Array} Typed rows
+ */
+function buildProducts(minutes, periods) {
+  const label = (offset) => `${String(Math.floor(offset / 60) % 24).padStart(2, '0')}:${String(offset % 60).padStart(2, '0')}`;
+  return buildDay(periods).map((row, index) => ({ ...row, Period: `${label(index * minutes)} - ${label((index + 1) * minutes)}` }));
+}
+
+test.describe('row validation', () => {
+  test('accepts a complete consistent day', () => {
+    const result = validateRows(buildDay());
+    expect(result.valid).toHaveLength(24);
+    expect(result.rejected).toHaveLength(0);
+    expect(result.issues).toHaveLength(0);
+  });
+
+  test('accepts DST and quarter-hour period counts', () => {
+    expect(validateRows(buildDay(23, '2026-03-29')).issues).toHaveLength(0);
+    expect(validateRows(buildDay(25, '2026-10-25')).issues).toHaveLength(0);
+    expect(validateRows(buildProducts(15, 96)).issues).toHaveLength(0);
+    expect(validateRows(buildDay(24, '2026-03-29')).issues[0].reason).toBe('24 of 23 hour periods');
+  });
+
+  test('counts the periods of a mixed-granularity day in its finest granularity', () => {
+    const quarterHours = buildProducts(15, 96);
+    const hours = buildProducts(60, 24);
+
+    expect(validateRows([...quarterHours, ...hours]).issues).toHaveLength(0);
+    expect(validateRows([...quarterHours.slice(4), ...hours]).issues.map((issue) => issue.reason)).toEqual(['92 of 96 quarter-hour periods']);
+  });
+
+  test('rejects inconsistent rows with reasons', () => {
+    const rows = buildDay();
+    rows[0] = { ...rows[0], 'Weight Avg': 55 };
+    rows[1] = { ...rows[1], Last: 30 };
+    rows[2] = { ...rows[2], High: null };
+
+    const result = validateRows(rows, { maxErrorRate: 1 });
+    expect(result.valid).toHaveLength(21);
+    expect(result.rejected.map((entry) => entry.rule)).toEqual([
+      'weight-avg-within-range',
+      'last-within-range',
+      'prices-present'
+    ]);
+    expect(result.rejected[0].reason).toBe('Weight Avg 55 outside [Low 40, High 50]');
+  });
+
+  test('checks the price fields of each row\'s market', () => {
+    const rows = buildDay().map(({ Period, ...row }, hour) => ({
+      'Market Area': row['Market Area'],
+      'Delivery Date': row['Delivery Date'],
+      Market: 'day-ahead',
+      Period,
+      Price: hour === 0 ? null : 80,
+      Volume: 1000
+    }));
+
+    const result = validateRows(rows, { maxErrorRate: 1 });
+    expect(result.valid).toHaveLength(23);
+    expect(result.rejected).toEqual([expect.objectContaining({ rule: 'prices-present', reason: 'missing Price' })]);
+  });
+
+  test('reports incomplete days without rejecting their rows', () => {
+    const result = validateRows(buildDay(20));
+    expect(result.valid).toHaveLength(20);
+    expect(result.issues).toEqual([{
+      marketArea: 'DE-LU',
+      deliveryDate: '2026-01-26',
+      rule: 'period-count',
+      reason: '20 of 24 hour periods'
+    }]);
+  });
+
+  test('supports custom rules and price bounds', () => {
+    const noNegativePrices = { name: 'no-negative', scope: 'row', validate: (row) => (row.Low < 0 ? 'negative Low' : null) };
+    const rows = buildDay();
+    rows[0] = { ...rows[0], Low: -5 };
+    rows[1] = { ...rows[1], High: 5000, Last: 45 };
+
+    const result = validateRows(rows, { extraRules: [noNegativePrices], priceBounds: { MIN: -500, MAX: 4000 }, maxErrorRate: 1 });
+    expect(result.rejected.map((entry) => entry.rule)).toEqual(['no-negative', 'plausible-prices']);
+  });
+
+  test('fails the run above the error threshold', () => {
+    const rows = buildDay();
+    rows[0] = { ...rows[0], Last: 99 };
+    expect(() => validateRows(rows, { maxErrorRate: 0 })).toThrow(ValidationError);
+    expect(validateRows(rows, { maxErrorRate: 0.05 }).rejected).toHaveLength(1);
+  });
+});
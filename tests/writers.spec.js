@@ -0,0 +1,162 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getWriter, listFormats, defaultOutputFile } from '../src/writers/index.js';
+import { writeMarketResults, renderFileName, formatRunTimestamp } from '../src/output.js';
+import { manifestPathFor } from '../src/manifest.js';
+import { parquetMetadata, parquetReadObjects } from 'hyparquet';
+
+const ROWS = [
+  { 'Market Area': 'GB', 'Delivery Date': '2026-01-26', Period: '00:00', 'Period Start': '2026-01-26T00:00:00.000Z', 'Period End': '2026-01-26T01:00:00.000Z', Product: 'GB', Low: 45.23, High: 48.75, Last: null, 'Weight Avg': 46.82, Volume: 1250, 'Price Unit': '£/MWh', 'Volume Unit': 'MWh' },
+  { 'Market Area': 'FR', 'Delivery Date': '2026-01-26', Period: '00:00', Product: 'FR', Low: 40, High: 42, Last: 41, 'Weight Avg': 41.5, Volume: null, 'Price Unit': '€/MWh', 'Volume Unit': 'MWh' }
+];
+
+test.describe('output writers', () => {
+  let outputDir;
+
+  test.beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'epex-writers-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('registers csv, json, ndjson and parquet', () => {
+    expect(listFormats()).toEqual(expect.arrayContaining(['csv', 'json', 'ndjson', 'parquet']));
+    expect(defaultOutputFile('ndjson')).toBe('market_data.ndjson');
+    expect(() => getWriter('xml')).toThrow('Unsupported format "xml"');
+  });
+
+  test('writes a JSON document with run metadata and typed rows', async () => {
+    const filePath = await getWriter('json').write(ROWS, {
+      outputDir,
+      outputFile: 'rows.json',
+      metadata: { marketAreas: ['GB', 'FR'] }
+    });
+    const document = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+    expect(document.metadata).toMatchObject({ rowCount: 2, marketAreas: ['GB', 'FR'] });
+    expect(document.rows[0]).toEqual({
+      Period: '00:00', 'Period Start': '2026-01-26T00:00:00.000Z', 'Period End': '2026-01-26T01:00:00.000Z', Product: 'GB', Low: 45.23, High: 48.75, Last: null, 'Weight Avg': 46.82,
+      Volume: 1250, 'Price Unit': '£/MWh', 'Volume Unit': 'MWh'
+    });
+  });
+
+  test('writes one JSON object per NDJSON line', async () => {
+    const filePath = await getWriter('ndjson').write(ROWS, { outputDir, outputFile: 'rows.ndjson' });
+    const lines = fs.readFileSync(filePath, 'utf-8').trim().split('\n').map((line) => JSON.parse(line));
+
+    expect(lines).toHaveLength(2);
+    expect(lines[1].Volume).toBeNull();
+  });
+
+  test('writes combined output in the selected format', async () => {
+    const [filePath] = await writeMarketResults(ROWS, { outputDir, format: 'ndjson' });
+    expect(path.basename(filePath)).toBe('market_data.ndjson');
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf-8').split('\n')[0])['Market Area']).toBe('GB');
+  });
+
+  test('writes a provenance manifest next to every output file', async () => {
+    const page = (marketArea) => ({
+      url: `https://www.epexspot.com/en/market-results?market_area=${marketArea}`,
+      marketArea,
+      deliveryDate: '2026-01-26',
+      market: undefined,
+      scrapedAt: '2026-01-27T08:15:05.000Z',
+      source: 'dom',
+      selector: 'tbody tr',
+      attempts: 2,
+      tableRows: 1,
+      rows: 1
+    });
+    const run = {
+      runId: '20260127T081500Z-3fa2c1',
+      startedAt: '2026-01-27T08:15:00.000Z',
+      finishedAt: '2026-01-27T08:15:10.000Z',
+      browser: { name: 'chromium', version: '120.0.6099.28' },
+      pages: [page('GB'), page('FR')],
+      validation: { rejected: 0, issues: 2 }
+    };
+
+    const filePaths = await writeMarketResults(ROWS, { outputDir, mode: 'per-day', manifest: run });
+    const manifest = JSON.parse(fs.readFileSync(manifestPathFor(filePaths[0]), 'utf-8'));
+
+    expect(manifestPathFor(filePaths[0])).toBe(`${filePaths[0]}.manifest.json`);
+    expect(manifest).toMatchObject({
+      file: 'market_data_GB_2026-01-26.csv',
+      scraper: { name: 'epex-spot-scraper' },
+      runId: run.runId,
+      browser: run.browser,
+      rowCount: 1,
+      validation: { rejected: 0, issues: 2 }
+    });
+    expect(manifest.pages).toEqual([page('GB')].map(({ market, ...rest }) => rest));
+    expect(fs.existsSync(manifestPathFor(filePaths[1]))).toBe(true);
+  });
+
+  test('writes a Parquet dataset partitioned by delivery date and market area', async () => {
+    const [datasetDir] = await writeMarketResults(ROWS, { outputDir, format: 'parquet', mode: 'per-day' });
+    const filePath = path.join(datasetDir, 'delivery_date=2026-01-26', 'market_area=GB', 'part-0.parquet');
+    const buffer = fs.readFileSync(filePath);
+    const file = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+    const columns = parquetMetadata(file).schema.slice(1).map((element) => [element.name, element.type]);
+    expect(columns).toContainEqual(['period_start', 'INT64']);
+    expect(columns).toContainEqual(['low', 'DOUBLE']);
+    expect(columns.map(([name]) => name)).not.toContain('market_area');
+
+    const [row] = await parquetReadObjects({ file });
+    expect(row.period).toBe('00:00');
+    expect(row.period_start.toISOString()).toBe('2026-01-26T00:00:00.000Z');
+    expect(row.period_end.toISOString()).toBe('2026-01-26T01:00:00.000Z');
+    expect(row.low).toBe(45.23);
+    expect(row.last).toBeNull();
+    expect(fs.existsSync(path.join(datasetDir, 'delivery_date=2026-01-26', 'market_area=FR', 'part-0.parquet'))).toBe(true);
+  });
+
+  test('keeps existing Parquet partition files with noClobber', async () => {
+    const [datasetDir] = await writeMarketResults(ROWS, { outputDir, format: 'parquet', mode: 'per-day' });
+    const partitionDir = path.join(datasetDir, 'delivery_date=2026-01-26', 'market_area=GB');
+    const original = fs.readFileSync(path.join(partitionDir, 'part-0.parquet'));
+
+    await writeMarketResults(ROWS, { outputDir, format: 'parquet', mode: 'per-day', noClobber: true });
+
+    expect(fs.readdirSync(partitionDir).sort()).toEqual(['part-0-1.parquet', 'part-0.parquet']);
+    expect(fs.readFileSync(path.join(partitionDir, 'part-0.parquet'))).toEqual(original);
+  });
+
+  test('renders file name templates per area and day and for combined output', async () => {
+    const runTimestamp = formatRunTimestamp(new Date('2026-01-27T08:15:00.123Z'));
+    expect(runTimestamp).toBe('20260127T081500Z');
+    expect(() => renderFileName('data_{area}.csv', {})).toThrow('Unknown file name token {area}');
+
+    const perDay = await writeMarketResults(ROWS, {
+      outputDir, format: 'json', mode: 'per-day', runTimestamp,
+      outputFile: 'epex_{marketArea}_{deliveryDate}_{runTimestamp}.{format}'
+    });
+    expect(perDay.map((filePath) => path.basename(filePath))).toEqual([
+      'epex_GB_2026-01-26_20260127T081500Z.json',
+      'epex_FR_2026-01-26_20260127T081500Z.json'
+    ]);
+
+    const [combined] = await writeMarketResults(ROWS, { outputDir, outputFile: 'all_{marketArea}_{deliveryDate}.csv', runTimestamp });
+    expect(path.basename(combined)).toBe('all_GB+FR_2026-01-26.csv');
+  });
+
+  test('writes through a temporary file and never clobbers with noClobber', async () => {
+    const options = { outputDir, outputFile: 'rows.ndjson' };
+    const first = await getWriter('ndjson').write(ROWS, options);
+    const second = await getWriter('ndjson').write(ROWS.slice(0, 1), { ...options, noClobber: true });
+    const third = await getWriter('ndjson').write(ROWS.slice(0, 1), { ...options, noClobber: true });
+
+    expect(path.basename(second)).toBe('rows-1.ndjson');
+    expect(path.basename(third)).toBe('rows-2.ndjson');
+    expect(fs.readFileSync(first, 'utf-8').trim().split('\n')).toHaveLength(2);
+    expect(fs.readdirSync(outputDir).sort()).toEqual(['rows-1.ndjson', 'rows-2.ndjson', 'rows.ndjson']);
+
+    await getWriter('ndjson').write(ROWS.slice(0, 1), options);
+    expect(fs.readFileSync(first, 'utf-8').trim().split('\n')).toHaveLength(1);
+  });
+});